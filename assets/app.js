@@ -19,12 +19,95 @@ const IDB_META_KEY = 'meta';
 const IDB_SYNC_KEY = 'syncConfig';
 const IDB_SNAPSHOT_INDEX_KEY = 'snapshotIndex';
 const IDB_SNAPSHOT_PREFIX = 'snapshot:';
+const IDB_LOCK_KEY = 'lock';
 const MAX_SNAPSHOTS = 20;
 
-/** @typedef {{id:number,name:string,category:string,cost:number,price:number,stock:number,stockMin:number}} Product */
-/** @typedef {{id:number,at:string,productId:number,qty:number,unitPrice:number,unitCost:number,total:number,profit:number,notes?:string}} Sale */
-/** @typedef {{id:number,at:string,type:string,amount:number,description?:string}} Expense */
-/** @typedef {{id:number,table:number,players:number,rate:number,startAt:string,endAt?:string,active:boolean,total?:number}} TableSession */
+// App lock (PIN)
+const LOCK_KDF_ITERATIONS = 310_000;
+const LOCK_MIN_PIN_LENGTH = 4;
+const LOCK_DEFAULT_IDLE_MINUTES = 5;
+
+// Record-level sync (merge by id)
+const SYNC_FORMAT = 2;
+const SYNC_FORMAT_ENCRYPTED = 3;
+const SYNC_KDF_ITERATIONS = 210_000;
+const SYNC_COLLECTIONS = ['products', 'sales', 'expenses', 'tables', 'ratePlans', 'tableDefs', 'shifts', 'customers', 'customerPayments', 'promotions', 'suppliers', 'purchases', 'movements', 'stockCounts', 'closings', 'audit'];
+const TOMBSTONE_TTL_DAYS = 120;
+const COLLECTION_LABELS = { products: 'Productos', sales: 'Ventas', expenses: 'Gastos', tables: 'Mesas', ratePlans: 'Planes de tarifa', tableDefs: 'Mesas del local', shifts: 'Turnos de caja', customers: 'Clientes', customerPayments: 'Abonos de clientes', promotions: 'Promociones', suppliers: 'Proveedores', purchases: 'Compras', movements: 'Movimientos de inventario', stockCounts: 'Conteos físicos', closings: 'Cierres del día', audit: 'Auditoría' };
+// Collections whose records are audited one by one (movements and counts are already a ledger)
+const AUDIT_COLLECTIONS = ['products', 'sales', 'expenses', 'tables', 'customers', 'customerPayments', 'shifts', 'promotions', 'suppliers', 'purchases', 'ratePlans', 'tableDefs', 'closings'];
+const AUDIT_ACTIONS = { create: 'Alta', update: 'Cambio', delete: 'Borrado', bulk: 'Operación masiva' };
+// Sources logged record by record; any other save is a bulk operation
+const AUDIT_RECORD_SOURCES = { local: '', undo: 'Deshacer', redo: 'Rehacer' };
+const UNDO_LIMIT = 30;
+// Characters per line of a thermal ticket by paper width (mm)
+const RECEIPT_COLUMNS = { 58: 32, 80: 48 };
+// Saves that replace or mix in a whole state are logged as one summary entry
+const AUDIT_SOURCES = {
+  init: 'Datos de ejemplo',
+  import: 'Importar JSON',
+  clear: 'Borrar todo',
+  'snapshot-restore': 'Restaurar respaldo',
+  migracion: 'Migración de datos antiguos',
+  'migracion-manual': 'Migración de datos antiguos',
+  'sync-pull': 'Sync: bajar (reemplazo)',
+  'sync-merge': 'Sync: mezcla',
+  'sync-auto-pull': 'Auto-sync: reemplazo',
+  'sync-auto-merge': 'Auto-sync: mezcla',
+};
+const MOVEMENT_TYPES = {
+  alta: 'Inventario inicial',
+  venta: 'Venta',
+  compra: 'Compra',
+  ajuste: 'Ajuste',
+  merma: 'Merma / rotura',
+  consumo: 'Consumo interno',
+  devolucion: 'Devolución',
+  conteo: 'Conteo físico',
+};
+const TABLE_TYPES = { pool: 'Pool', snooker: 'Snooker', carambola: 'Carambola' };
+const PROMO_KINDS = { percent: 'Porcentaje', fixed: 'Monto fijo', nxm: 'Lleva N paga M', combo: 'Combo' };
+const PROMO_SCOPES = { both: 'Ventas y mesas', sale: 'Solo ventas', table: 'Solo mesas' };
+const WEEKDAY_SHORT = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+const CASH_METHOD = 'efectivo';
+// Built-in "on account" method: the amount becomes the customer's debt instead of income
+const ACCOUNT_METHOD = 'cuenta';
+const AGING_BUCKETS = [{ label: '0–7 días', max: 7 }, { label: '8–15 días', max: 15 }, { label: '16–30 días', max: 30 }, { label: '+30 días', max: Infinity }];
+const DEFAULT_PAYMENT_METHODS = [
+  { id: 'efectivo', label: 'Efectivo' },
+  { id: 'tarjeta', label: 'Tarjeta' },
+  { id: 'transferencia', label: 'Transferencia' },
+];
+// Quetzal bills and coins, largest first (Q1 exists as bill and coin; counted together)
+const CASH_DENOMINATIONS = [200, 100, 50, 20, 10, 5, 1, 0.5, 0.25, 0.1, 0.05, 0.01];
+
+/** @typedef {{id:number,name:string,category:string,cost:number,price:number,stock:number,stockMin:number,supplierId?:number,updatedAt?:string}} Product */
+/** @typedef {{id:number,name:string,phone?:string,updatedAt?:string}} Supplier */
+/** @typedef {{id:number,at:string,productId:number,type:string,qty:number,unitCost:number,balance:number,user:string,reason?:string,refId?:number,updatedAt?:string}} StockMovement */
+/** @typedef {{id:number,at:string,user:string,reason:string,items:{productId:number,expected:number,counted:number,diff:number,unitCost:number}[],updatedAt?:string}} StockCount */
+/** @typedef {{productId:number,qty:number,unitCost:number,total:number,previousCost:number}} PurchaseLine */
+/** @typedef {{id:number,at:string,supplierId:number,lines:PurchaseLine[],total:number,invoice?:string,notes?:string,expenseId?:number,updatedAt?:string}} Purchase */
+/** @typedef {{productId:number,qty:number,unitPrice:number,unitCost:number,total:number,profit:number}} SaleLine */
+/** @typedef {{method:string,amount:number,payer?:string,customerId?:number}} Payment */
+/** @typedef {{id:number,name:string,kind:'percent'|'fixed'|'nxm'|'combo',scope:'both'|'sale'|'table',value:number,productId?:number,buy?:number,pay?:number,combo?:{items:{productId:number,qty:number}[],tableMinutes:number},days?:number[],from?:string,to?:string,validFrom?:string,validTo?:string,enabled:boolean,updatedAt?:string}} Promotion */
+/** @typedef {{id:number,name:string,phone?:string,notes?:string,updatedAt?:string}} Customer */
+/** @typedef {{id:number,customerId:number,at:string,amount:number,method:string,notes?:string,shiftId?:number,updatedAt?:string}} CustomerPayment */
+/** @typedef {{id:number,at:string,kind:'anulacion'|'devolucion',lines:{productId:number,qty:number}[],amount:number,profit:number,reason:string,restocked:boolean,payments:Payment[],shiftId?:number,user:string}} SaleReturn */
+/** @typedef {{id:number,at:string,lines?:SaleLine[],productId?:number,qty?:number,unitPrice?:number,unitCost?:number,total:number,profit:number,notes?:string,tableSessionId?:number,shiftId?:number,payments?:Payment[],tendered?:number,change?:number,subtotal?:number,discount?:number,promotionId?:number,promotionName?:string,returns?:SaleReturn[],voidedAt?:string,voidReason?:string,updatedAt?:string}} Sale */
+/** @typedef {{id:string,at:string,device:string,user:string,action:'create'|'update'|'delete'|'bulk',source:string,coll?:string,recordId?:number,label:string,before?:Object,after?:Object,counts?:Object<string,{added:number,updated:number,deleted:number}>}} AuditEntry */
+/** @typedef {{id:number,at:string,type:string,amount:number,description?:string,fromDrawer?:boolean,shiftId?:number,purchaseId?:number,updatedAt?:string}} Expense */
+/** @typedef {{id:number,openedAt:string,cashier:string,openingFloat:number,closedAt?:string,counted?:{denoms:Object<string,number>,total:number},expected?:number,difference?:number,notes?:string,updatedAt?:string}} Shift */
+/** @typedef {{id:number,name:string,joinAt:string,leaveAt?:string}} TablePlayer */
+/** @typedef {{startAt:string,endAt?:string}} TablePause */
+/** @typedef {{name:string,joinAt:string,leaveAt:string,minutes:number,billedMinutes:number,pausedMinutes:number,amount:number}} BillSegment */
+/** @typedef {{id:number,name:string,weekdayRate:number,weekendRate:number,happyHour:{from:string,to:string,rate:number}|null,increment:number,minCharge:number,perTable:boolean,updatedAt?:string}} RatePlan */
+/** @typedef {{id:number,number:number,name?:string,type:string,planId?:number,enabled:boolean,updatedAt?:string}} TableDef */
+/** @typedef {{id:number,table:number,players:number,rate:number,planId?:number,plan?:RatePlan,startAt:string,endAt?:string,active:boolean,playerLog?:TablePlayer[],pauses?:TablePause[],moves?:{at:string,from:number,to:number}[],segments?:BillSegment[],shiftId?:number,payments?:Payment[],tendered?:number,change?:number,discount?:number,discountOnConsumption?:number,promotionId?:number,promotionName?:string,timeTotal?:number,consumptionTotal?:number,total?:number,updatedAt?:string}} TableSession */
+/** @typedef {{date:string,business:string,pnl:{tableRevenue:number,productRevenue:number,returns:number,revenue:number,cogs:number,inventoryLoss:number,expenses:number,net:number},tables:{table:number,sessions:number,hours:number,time:number,consumption:number}[],products:{name:string,units:number,revenue:number}[],expenses:{type:string,description:string,amount:number}[],payments:{method:string,amount:number}[],voids:{at:string,kind:string,detail:string,reason:string,amount:number}[],openTables:{table:number,since:string,players:number,amount:number}[],lowStock:{name:string,stock:number,stockMin:number}[]}} ClosingData */
+/** @typedef {{id:number,date:string,at:string,user:string,report:ClosingData,updatedAt?:string}} Closing */
+/** @typedef {{title:string, at:string, info:string[], items:{label:string, detail?:string, amount:number}[], subtotal:number, discount:number, discountLabel?:string, total:number, payments:{label:string, amount:number}[], tendered?:number, change?:number, note?:string}} Receipt */
+/** @typedef {{width:58|80, bridgeUrl:string, autoShow:boolean}} PrinterConfig */
+/** @typedef {{coll:string,id:number,at:string}} Tombstone */
 
 function nowISO() {
   return new Date().toISOString();
@@ -40,6 +123,12 @@ function formatMoney(n) {
   return x.toLocaleString('es-GT', { style: 'currency', currency: 'GTQ' });
 }
 
+function formatTime(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '';
+  return d.toLocaleTimeString('es-GT', { hour: '2-digit', minute: '2-digit' });
+}
+
 function formatDateTime(iso) {
   const d = new Date(iso);
   if (Number.isNaN(d.getTime())) return '';
@@ -52,8 +141,17 @@ function clampInt(n, min, max) {
   return Math.min(max, Math.max(min, x));
 }
 
+/**
+ * Numeric record id. Records are merged by id across devices, so ids are
+ * random over the whole safe-integer range (not time based): two devices
+ * creating records in the same instant don't collide. Ids stay numbers
+ * because buttons, forms and older backups carry them as numbers.
+ */
 function uuid() {
-  return Date.now() + Math.floor(Math.random() * 1000);
+  const words = new Uint32Array(2);
+  globalThis.crypto.getRandomValues(words);
+  // 20 high bits + 32 low bits stays a safe integer; +1 so the id is never 0 ("new" in forms)
+  return (words[0] & 0xfffff) * 0x100000000 + words[1] + 1;
 }
 
 function randomId() {
@@ -65,19 +163,311 @@ function randomId() {
   return String(Date.now()) + '-' + Math.random().toString(16).slice(2);
 }
 
-function toast(title, msg) {
+/**
+ * Shows a message for a few seconds. With `action` the toast carries a button
+ * (e.g. "Deshacer") and stays a little longer.
+ * @param {{label:string, run:() => void}} [action]
+ */
+function toast(title, msg, action) {
   const el = document.getElementById('toast');
   const t = document.getElementById('toastTitle');
   const m = document.getElementById('toastMsg');
+  const btn = document.getElementById('toastAction');
   t.textContent = title;
   m.textContent = msg;
+  btn.hidden = !action;
+  btn.textContent = action ? action.label : '';
+  btn.onclick = action
+    ? () => {
+      el.classList.remove('show');
+      action.run();
+    }
+    : null;
   el.classList.add('show');
   window.clearTimeout(toast._t);
-  toast._t = window.setTimeout(() => el.classList.remove('show'), 3200);
+  toast._t = window.setTimeout(() => el.classList.remove('show'), action ? 6000 : 3200);
 }
 
 toast._t = 0;
 
+/**
+ * Modal with one button per choice (uses #choiceDialog).
+ * Resolves with the chosen value, or null when the dialog is dismissed.
+ * @param {{title:string, message?:string, lines?:string[], choices:{value:string,label:string,className?:string}[]}} opts
+ * @returns {Promise<string|null>}
+ */
+function askChoice(opts) {
+  const dlg = /** @type {HTMLDialogElement} */ (document.getElementById('choiceDialog'));
+  document.getElementById('choiceTitle').textContent = opts.title;
+  document.getElementById('choiceMessage').textContent = opts.message || '';
+
+  const ul = document.getElementById('choiceLines');
+  ul.innerHTML = '';
+  for (const line of opts.lines || []) {
+    const li = document.createElement('li');
+    li.textContent = line;
+    ul.appendChild(li);
+  }
+
+  const buttons = document.getElementById('choiceButtons');
+  buttons.innerHTML = '';
+  for (const c of [...opts.choices, { value: '', label: 'Cancelar' }]) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = `btn ${c.className || ''}`.trim();
+    b.textContent = c.label;
+    b.addEventListener('click', () => dlg.close(c.value));
+    buttons.appendChild(b);
+  }
+
+  return new Promise((resolve) => {
+    dlg.addEventListener('close', () => resolve(dlg.returnValue || null), { once: true });
+    dlg.returnValue = '';
+    dlg.showModal();
+  });
+}
+
+/**
+ * Payment modal (uses #payDialog): one or more payments by method and payer,
+ * plus cash received to compute the change. Confirming requires the payments
+ * to add up to the total. With customers, part or all of it can go on account;
+ * with promotions, the chosen one (the best by default) lowers the total.
+ * @param {{title:string, message?:string, lines?:string[], total:number, methods:{id:string,label:string}[], customers?:{id:number,name:string}[], promotions?:{id:number,label:string,discount:number}[], payers?:{name:string,amount:number}[], confirmLabel:string}} opts
+ * @returns {Promise<{payments:Payment[], tendered?:number, change?:number, promotionId?:number}|null>}
+ */
+function askPayment(opts) {
+  const dlg = /** @type {HTMLDialogElement} */ (document.getElementById('payDialog'));
+  const rowsBox = document.getElementById('payRows');
+  const tenderedInput = /** @type {HTMLInputElement} */ (document.getElementById('payTendered'));
+  const customerSelect = /** @type {HTMLSelectElement} */ (document.getElementById('payCustomer'));
+  const promoSelect = /** @type {HTMLSelectElement} */ (document.getElementById('payPromo'));
+  const gross = Number(opts.total.toFixed(2));
+  const promotions = opts.promotions || [];
+  let total = gross;
+  const ac = new AbortController();
+  const customers = opts.customers || [];
+  const methods = customers.length ? [...opts.methods, { id: ACCOUNT_METHOD, label: 'Cuenta (fiado)' }] : opts.methods;
+
+  customerSelect.innerHTML = '<option value="">Seleccione un cliente</option>'
+    + customers.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
+
+  document.getElementById('payTitle').textContent = opts.title;
+  document.getElementById('payMessage').textContent = opts.message || '';
+  promoSelect.innerHTML = '<option value="">Sin promoción</option>'
+    + promotions.map(x => `<option value="${x.id}">${escapeHtml(x.label)} (−${formatMoney(x.discount)})</option>`).join('');
+  document.getElementById('payPromoField').hidden = !promotions.length;
+  const ul = document.getElementById('payLines');
+  ul.innerHTML = '';
+  for (const line of opts.lines || []) {
+    const li = document.createElement('li');
+    li.textContent = line;
+    ul.appendChild(li);
+  }
+
+  const addRow = (method, amount, payer) => {
+    const row = document.createElement('div');
+    row.className = 'row pay-row';
+    row.innerHTML = `
+      <select class="pay-method" aria-label="Método">${methods.map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.label)}</option>`).join('')}</select>
+      <input class="pay-amount" type="number" min="0" step="0.01" aria-label="Monto" />
+      <input class="pay-payer" type="text" placeholder="Pagador (opcional)" aria-label="Pagador" />
+      <button class="btn" type="button" data-act="pay-remove" aria-label="Quitar pago">✕</button>
+    `;
+    /** @type {HTMLSelectElement} */ (row.querySelector('.pay-method')).value = method;
+    /** @type {HTMLInputElement} */ (row.querySelector('.pay-amount')).value = amount ? amount.toFixed(2) : '';
+    /** @type {HTMLInputElement} */ (row.querySelector('.pay-payer')).value = payer || '';
+    rowsBox.appendChild(row);
+  };
+
+  const readPayments = () => [...rowsBox.querySelectorAll('.pay-row')].map(row => ({
+    method: /** @type {HTMLSelectElement} */ (row.querySelector('.pay-method')).value,
+    amount: Number(parseMoney(/** @type {HTMLInputElement} */ (row.querySelector('.pay-amount')).value).toFixed(2)),
+    payer: /** @type {HTMLInputElement} */ (row.querySelector('.pay-payer')).value.trim() || undefined,
+  })).filter(p => p.amount > 0).map(p => (p.method === ACCOUNT_METHOD ? { ...p, customerId: Number(customerSelect.value) || undefined } : p));
+
+  const confirmBtn = document.createElement('button');
+  const refresh = () => {
+    const payments = readPayments();
+    const remaining = Number((total - sum(payments.map(p => p.amount))).toFixed(2));
+    const cash = sum(payments.filter(p => p.method === CASH_METHOD).map(p => p.amount));
+    const tendered = parseMoney(tenderedInput.value);
+    const change = tendered > 0 ? Number((tendered - cash).toFixed(2)) : 0;
+    const onAccount = [...rowsBox.querySelectorAll('.pay-method')].some(x => /** @type {HTMLSelectElement} */ (x).value === ACCOUNT_METHOD);
+    const missingCustomer = payments.some(p => p.method === ACCOUNT_METHOD && !p.customerId);
+    document.getElementById('payCustomerField').hidden = !onAccount;
+
+    document.getElementById('payRemaining').textContent = remaining === 0
+      ? 'Pagos completos.'
+      : remaining > 0 ? `Falta asignar ${formatMoney(remaining)}.` : `Los pagos exceden el total por ${formatMoney(-remaining)}.`;
+    document.getElementById('payChange').textContent = tendered > 0
+      ? (change >= 0 ? `Vuelto: ${formatMoney(change)}` : `Efectivo recibido insuficiente (faltan ${formatMoney(-change)}).`)
+      : '';
+    if (missingCustomer) document.getElementById('payRemaining').textContent += ' Elige el cliente para el fiado.';
+    confirmBtn.disabled = remaining !== 0 || change < 0 || missingCustomer;
+  };
+
+  const fill = (list) => {
+    rowsBox.innerHTML = '';
+    list.forEach(x => addRow(x.method, x.amount, x.payer));
+    refresh();
+  };
+
+  // Player shares follow the discounted total
+  const payerShares = () => {
+    const factor = gross ? total / gross : 0;
+    const shares = opts.payers.map(p => ({ method: CASH_METHOD, amount: Number((p.amount * factor).toFixed(2)), payer: p.name }));
+    const drift = Number((total - sum(shares.map(x => x.amount))).toFixed(2));
+    shares[shares.length - 1].amount = Number((shares[shares.length - 1].amount + drift).toFixed(2));
+    return shares;
+  };
+
+  const applyPromo = () => {
+    const promo = promotions.find(x => x.id === Number(promoSelect.value));
+    total = Number((gross - (promo ? promo.discount : 0)).toFixed(2));
+    document.getElementById('payTotal').textContent = formatMoney(total);
+    document.getElementById('payDiscount').textContent = promo ? `Subtotal ${formatMoney(gross)} − ${promo.label} ${formatMoney(promo.discount)}` : '';
+    fill([{ method: CASH_METHOD, amount: total }]);
+  };
+
+  const buttons = document.getElementById('payButtons');
+  buttons.innerHTML = '';
+  const mkButton = (label, className, onClick) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = `btn ${className}`.trim();
+    b.textContent = label;
+    b.addEventListener('click', onClick);
+    buttons.appendChild(b);
+    return b;
+  };
+
+  mkButton('+ Pago', '', () => {
+    const remaining = Number((total - sum(readPayments().map(p => p.amount))).toFixed(2));
+    addRow(CASH_METHOD, Math.max(0, remaining), '');
+    refresh();
+  });
+  if (opts.payers && opts.payers.length > 1) {
+    mkButton('Dividir entre jugadores', '', () => fill(payerShares()));
+  }
+  confirmBtn.type = 'button';
+  confirmBtn.className = 'btn primary';
+  confirmBtn.textContent = opts.confirmLabel;
+  confirmBtn.addEventListener('click', () => dlg.close('ok'));
+  buttons.appendChild(confirmBtn);
+  mkButton('Cancelar', '', () => dlg.close(''));
+
+  rowsBox.addEventListener('click', (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button[data-act="pay-remove"]');
+    if (!btn) return;
+    btn.closest('.pay-row').remove();
+    refresh();
+  }, { signal: ac.signal });
+  dlg.addEventListener('input', refresh, { signal: ac.signal });
+  dlg.addEventListener('change', refresh, { signal: ac.signal });
+  promoSelect.addEventListener('change', applyPromo, { signal: ac.signal });
+
+  tenderedInput.value = '';
+  customerSelect.value = '';
+  promoSelect.value = promotions.length ? String(promotions[0].id) : '';
+  applyPromo();
+
+  return new Promise((resolve) => {
+    dlg.addEventListener('close', () => {
+      ac.abort();
+      if (dlg.returnValue !== 'ok') {
+        resolve(null);
+        return;
+      }
+      const payments = readPayments();
+      const cash = sum(payments.filter(p => p.method === CASH_METHOD).map(p => p.amount));
+      const tendered = parseMoney(tenderedInput.value);
+      const promotionId = Number(promoSelect.value) || undefined;
+      resolve(tendered > 0
+        ? { payments, tendered, change: Number((tendered - cash).toFixed(2)), promotionId }
+        : { payments, promotionId });
+    }, { once: true });
+    dlg.returnValue = '';
+    dlg.showModal();
+  });
+}
+
+/**
+ * Void / return modal (uses #returnDialog): quantity to return per line, a
+ * mandatory reason and whether the goods go back to stock. With `all` every
+ * line is returned in full (a void) and quantities can't be edited.
+ * @param {{title:string, message?:string, lines:{productId:number,label:string,max:number,unitAmount:number}[], all?:boolean, confirmLabel:string}} opts
+ * @returns {Promise<{lines:{productId:number,qty:number}[], reason:string, restock:boolean}|null>}
+ */
+function askReturn(opts) {
+  const dlg = /** @type {HTMLDialogElement} */ (document.getElementById('returnDialog'));
+  const rowsBox = document.getElementById('returnRows');
+  const reasonInput = /** @type {HTMLInputElement} */ (document.getElementById('returnReason'));
+  const restockInput = /** @type {HTMLInputElement} */ (document.getElementById('returnRestock'));
+  const ac = new AbortController();
+
+  document.getElementById('returnTitle').textContent = opts.title;
+  document.getElementById('returnMessage').textContent = opts.message || '';
+  rowsBox.innerHTML = '';
+  for (const l of opts.lines) {
+    const row = document.createElement('div');
+    row.className = 'row pay-row';
+    row.innerHTML = `
+      <span>${escapeHtml(l.label)} <span class="small">(máx. ${l.max})</span></span>
+      <input class="return-qty" type="number" min="0" max="${l.max}" step="1" data-id="${l.productId}" aria-label="Cantidad ${escapeHtml(l.label)}" />
+    `;
+    const input = /** @type {HTMLInputElement} */ (row.querySelector('.return-qty'));
+    input.value = opts.all ? String(l.max) : '0';
+    input.disabled = !!opts.all;
+    rowsBox.appendChild(row);
+  }
+
+  const readLines = () => [...rowsBox.querySelectorAll('.return-qty')].map(x => {
+    const input = /** @type {HTMLInputElement} */ (x);
+    const line = opts.lines.find(l => l.productId === Number(input.getAttribute('data-id')));
+    return { productId: line.productId, qty: clampInt(input.value, 0, line.max) };
+  }).filter(l => l.qty > 0);
+
+  const confirmBtn = document.createElement('button');
+  const refresh = () => {
+    const lines = readLines();
+    const amount = sum(lines.map(l => l.qty * opts.lines.find(x => x.productId === l.productId).unitAmount));
+    document.getElementById('returnTotal').textContent = formatMoney(amount);
+    confirmBtn.disabled = (!opts.all && !lines.length) || !reasonInput.value.trim();
+  };
+
+  const buttons = document.getElementById('returnButtons');
+  buttons.innerHTML = '';
+  confirmBtn.type = 'button';
+  confirmBtn.className = 'btn warn';
+  confirmBtn.textContent = opts.confirmLabel;
+  confirmBtn.addEventListener('click', () => dlg.close('ok'));
+  buttons.appendChild(confirmBtn);
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'btn';
+  cancelBtn.textContent = 'Cancelar';
+  cancelBtn.addEventListener('click', () => dlg.close(''));
+  buttons.appendChild(cancelBtn);
+
+  dlg.addEventListener('input', refresh, { signal: ac.signal });
+  reasonInput.value = '';
+  restockInput.checked = true;
+  refresh();
+
+  return new Promise((resolve) => {
+    dlg.addEventListener('close', () => {
+      ac.abort();
+      if (dlg.returnValue !== 'ok') {
+        resolve(null);
+        return;
+      }
+      resolve({ lines: readLines(), reason: reasonInput.value.trim(), restock: restockInput.checked });
+    }, { once: true });
+    dlg.returnValue = '';
+    dlg.showModal();
+  });
+}
+
 function openDB() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(IDB_DB_NAME, IDB_DB_VERSION);
@@ -179,19 +569,28 @@ async function ensureDeviceId() {
 }
 
 async function getSyncConfig() {
-  const cfg = await idbGet(IDB_SYNC_KEY);
-  const base = { url: '', user: '', pass: '', auto: false };
+  const stored = await idbGet(IDB_SYNC_KEY);
+  // Credentials are sealed under the PIN key while the app lock is enabled
+  const cfg = stored?.secret ? { ...stored, ...(await unsealValue(stored.secret)) } : stored;
+  const base = { url: '', user: '', pass: '', passphrase: '', auto: false, mode: 'merge' };
   if (!cfg || typeof cfg !== 'object') return base;
   return {
     url: typeof cfg.url === 'string' ? cfg.url : '',
     user: typeof cfg.user === 'string' ? cfg.user : '',
     pass: typeof cfg.pass === 'string' ? cfg.pass : '',
+    passphrase: typeof cfg.passphrase === 'string' ? cfg.passphrase : '',
     auto: Boolean(cfg.auto),
+    mode: cfg.mode === 'replace' ? 'replace' : 'merge',
   };
 }
 
 async function setSyncConfig(cfg) {
-  await idbSet(IDB_SYNC_KEY, cfg);
+  if (!_vault) {
+    await idbSet(IDB_SYNC_KEY, cfg);
+    return;
+  }
+  const { pass, passphrase, ...rest } = cfg;
+  await idbSet(IDB_SYNC_KEY, { ...rest, secret: await sealValue({ pass, passphrase }) });
 }
 
 function base64FromBytes(bytes) {
@@ -200,6 +599,154 @@ function base64FromBytes(bytes) {
   return btoa(bin);
 }
 
+function bytesFromBase64(b64) {
+  const bin = atob(String(b64 || ''));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i += 1) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+/** AES-GCM key derived from a passphrase with PBKDF2-SHA256. */
+async function deriveAesKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(String(passphrase)), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+/** The plaintext header is bound to the ciphertext so it can't be swapped. */
+function syncEnvelopeAad(app, format) {
+  return new TextEncoder().encode(`${app}:${format}`);
+}
+
+/**
+ * Wraps a sync payload in an encrypted envelope. Only `app`, `format` and
+ * `updatedAt` stay readable, so older clients see there is no `state`.
+ */
+async function encryptPayload(payload, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveAesKey(passphrase, salt, SYNC_KDF_ITERATIONS);
+  const plain = new TextEncoder().encode(JSON.stringify(payload));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: syncEnvelopeAad(payload.app, SYNC_FORMAT_ENCRYPTED) }, key, plain);
+  return {
+    app: payload.app,
+    format: SYNC_FORMAT_ENCRYPTED,
+    encrypted: true,
+    notice: 'Datos cifrados. Actualiza la app y configura la frase de sincronización para leerlos.',
+    updatedAt: payload.updatedAt,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: SYNC_KDF_ITERATIONS, salt: base64FromBytes(salt) },
+    cipher: { name: 'AES-GCM', iv: base64FromBytes(iv) },
+    data: base64FromBytes(new Uint8Array(data)),
+  };
+}
+
+async function decryptPayload(envelope, passphrase) {
+  const iterations = clampInt(envelope?.kdf?.iterations, 1, 10_000_000);
+  const key = await deriveAesKey(passphrase, bytesFromBase64(envelope?.kdf?.salt), iterations);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytesFromBase64(envelope?.cipher?.iv), additionalData: syncEnvelopeAad(envelope.app, envelope.format) },
+      key,
+      bytesFromBase64(envelope.data),
+    );
+  } catch {
+    throw new Error('Frase de sincronización incorrecta (no se pudo descifrar el remoto).');
+  }
+  const parsed = safeJsonParse(new TextDecoder().decode(plain));
+  if (!parsed || typeof parsed !== 'object') throw new Error('Respuesta inválida');
+  return parsed;
+}
+
+/**
+ * Data key of the unlocked app (memory only). While set, the state, snapshots
+ * and sync credentials are written encrypted.
+ * @type {{key:CryptoKey, raw:Uint8Array}|null}
+ */
+let _vault = null;
+
+async function setVault(raw) {
+  _vault = raw
+    ? { raw, key: await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']) }
+    : null;
+}
+
+async function getLockConfig() {
+  const lock = await idbGet(IDB_LOCK_KEY);
+  return lock && lock.enabled ? lock : null;
+}
+
+async function aesSeal(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv: base64FromBytes(iv), data: base64FromBytes(new Uint8Array(data)) };
+}
+
+async function aesOpen(key, box) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytesFromBase64(box?.iv) }, key, bytesFromBase64(box?.data));
+  return new Uint8Array(plain);
+}
+
+/** Encrypts a value with the vault key (returns it unchanged when there is no lock). */
+async function sealValue(value) {
+  if (!_vault) return value;
+  const box = await aesSeal(_vault.key, new TextEncoder().encode(JSON.stringify(value)));
+  return { sealed: 1, ...box };
+}
+
+async function unsealValue(stored) {
+  if (!stored || typeof stored !== 'object' || stored.sealed !== 1) return stored;
+  if (!_vault) throw new Error('La app está bloqueada.');
+  const plain = await aesOpen(_vault.key, stored);
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+async function wrapWithPin(raw, pin) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveAesKey(pin, salt, LOCK_KDF_ITERATIONS);
+  return { iterations: LOCK_KDF_ITERATIONS, salt: base64FromBytes(salt), ...(await aesSeal(key, raw)) };
+}
+
+async function wrapWithRecovery(raw, recovery) {
+  const key = await crypto.subtle.importKey('raw', recovery, 'AES-GCM', false, ['encrypt']);
+  return aesSeal(key, raw);
+}
+
+async function openVaultWithPin(lock, pin) {
+  const key = await deriveAesKey(pin, bytesFromBase64(lock.pin.salt), clampInt(lock.pin.iterations, 1, 10_000_000));
+  try {
+    return await aesOpen(key, lock.pin);
+  } catch {
+    throw new Error('PIN incorrecto.');
+  }
+}
+
+async function openVaultWithRecovery(lock, text) {
+  const recovery = parseRecoveryKey(text);
+  const key = await crypto.subtle.importKey('raw', recovery, 'AES-GCM', false, ['decrypt']);
+  try {
+    return await aesOpen(key, lock.recovery);
+  } catch {
+    throw new Error('Clave de recuperación incorrecta.');
+  }
+}
+
+function formatRecoveryKey(bytes) {
+  const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+  return hex.match(/.{4}/g).join('-');
+}
+
+function parseRecoveryKey(text) {
+  const hex = String(text || '').replace(/[^0-9a-f]/gi, '');
+  if (hex.length !== 64) throw new Error('Clave de recuperación inválida.');
+  return new Uint8Array(hex.match(/.{2}/g).map(h => parseInt(h, 16)));
+}
+
 function basicAuthHeader(user, pass) {
   const u = String(user || '');
   const p = String(pass || '');
@@ -208,8 +755,15 @@ function basicAuthHeader(user, pass) {
   return `Basic ${base64FromBytes(bytes)}`;
 }
 
-async function webdavRequest({ url, method, user, pass, body }) {
-  const headers = {};
+/**
+ * Last known state of each remote file, keyed by URL. `exists:false` means the
+ * last GET answered 404; `etag:null` means the server didn't expose an ETag.
+ * @type {Map<string, {exists:boolean, etag:string|null}>}
+ */
+const _remoteEtags = new Map();
+
+async function webdavRequest({ url, method, user, pass, body, headers: extra }) {
+  const headers = { ...(extra || {}) };
   const auth = basicAuthHeader(user, pass);
   if (auth) headers.Authorization = auth;
   if (body != null) headers['Content-Type'] = 'application/json; charset=utf-8';
@@ -221,6 +775,13 @@ async function webdavRequest({ url, method, user, pass, body }) {
     cache: 'no-store',
   });
 
+  // Track the remote version for conditional writes (If-Match / If-None-Match)
+  if ((method === 'GET' || method === 'PUT') && res.ok) {
+    _remoteEtags.set(url, { exists: true, etag: res.headers.get('ETag') || null });
+  } else if (method === 'GET' && res.status === 404) {
+    _remoteEtags.set(url, { exists: false, etag: null });
+  }
+
   return res;
 }
 
@@ -231,12 +792,36 @@ async function fetchRemoteSnapshot(cfg) {
   const txt = await res.text();
   const parsed = safeJsonParse(txt);
   if (!parsed || typeof parsed !== 'object') throw new Error('Respuesta inválida');
+  if (parsed.encrypted) {
+    if (Number(parsed.format) !== SYNC_FORMAT_ENCRYPTED) throw new Error('El remoto usa un formato de cifrado más nuevo; actualiza la app.');
+    if (!cfg.passphrase) throw new Error('El remoto está cifrado: escribe la frase de sincronización.');
+    return decryptPayload(parsed, cfg.passphrase);
+  }
+  if (Number(parsed.format) > SYNC_FORMAT_ENCRYPTED) throw new Error('El remoto usa un formato más nuevo; actualiza la app.');
   return parsed;
 }
 
+/**
+ * Uploads only if the remote is still the version we last fetched.
+ * Throws an error with `status = 412` when another device wrote in between.
+ */
 async function pushRemoteSnapshot(cfg, payload) {
-  const res = await webdavRequest({ url: cfg.url, method: 'PUT', user: cfg.user, pass: cfg.pass, body: payload });
+  const known = _remoteEtags.get(cfg.url);
+  const headers = {};
+  if (known?.etag) headers['If-Match'] = known.etag;
+  else if (known && !known.exists) headers['If-None-Match'] = '*';
+
+  const body = cfg.passphrase ? await encryptPayload(payload, cfg.passphrase) : payload;
+  const res = await webdavRequest({ url: cfg.url, method: 'PUT', user: cfg.user, pass: cfg.pass, body, headers });
+  if (res.status === 412) {
+    _remoteEtags.delete(cfg.url);
+    const err = new Error('El remoto cambió mientras se subía.');
+    err.status = 412;
+    throw err;
+  }
   if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  // Some servers don't return an ETag on PUT; the next push re-fetches anyway
+  if (!res.headers.get('ETag')) _remoteEtags.set(cfg.url, { exists: true, etag: null });
 }
 
 function isValidStateShape(s) {
@@ -257,6 +842,131 @@ function isoNewerThan(a, b) {
   return da.getTime() > db.getTime();
 }
 
+/** Marks a record as modified now (per-record time used by the merge). */
+function touch(rec) {
+  rec.updatedAt = nowISO();
+  return rec;
+}
+
+/** Best-known modification time of a record (older records have no updatedAt). */
+function recordStamp(rec) {
+  return rec?.updatedAt || rec?.endAt || rec?.at || rec?.startAt || '';
+}
+
+/** Removes a record and leaves a tombstone so the deletion survives a merge. */
+function removeRecord(state, coll, id) {
+  state[coll] = state[coll].filter(x => x.id !== id);
+  state.tombstones.push({ coll, id, at: nowISO() });
+}
+
+function pruneTombstones(tombstones) {
+  const limit = addDays(new Date(), -TOMBSTONE_TTL_DAYS).toISOString();
+  return tombstones.filter(t => String(t.at || '') >= limit);
+}
+
+/**
+ * Union of two states by record id. The newest `updatedAt` wins per record and
+ * a tombstone removes a record unless the record was modified after it.
+ * Product stock is the exception: it is the winning record's stock plus the
+ * movements that record hadn't seen, so sales made on both devices all count.
+ * @returns {{state:any, stats:{added:number, updated:number, deleted:number}}}
+ */
+function mergeStates(local, remote) {
+  const out = normalizeState(deepClone(local));
+  const other = normalizeState(deepClone(remote));
+  const stats = { added: 0, updated: 0, deleted: 0 };
+  const localMoves = out.movements;
+  const remoteMoves = other.movements;
+  const remoteProducts = new Set(other.products);
+
+  /** @type {Map<string, Tombstone>} */
+  const tombs = new Map();
+  for (const t of [...out.tombstones, ...other.tombstones]) {
+    const key = `${t.coll}:${t.id}`;
+    const prev = tombs.get(key);
+    if (!prev || isoNewerThan(t.at, prev.at)) tombs.set(key, t);
+  }
+  const buried = (coll, rec) => {
+    const t = tombs.get(`${coll}:${rec.id}`);
+    return !!t && !isoNewerThan(recordStamp(rec), t.at);
+  };
+
+  for (const coll of SYNC_COLLECTIONS) {
+    const byId = new Map();
+    // Audit entries travel with the data but aren't reported as data changes
+    const counted = coll === 'audit' ? { added: 0, updated: 0, deleted: 0 } : stats;
+    for (const rec of out[coll]) {
+      if (buried(coll, rec)) counted.deleted += 1;
+      else byId.set(rec.id, rec);
+    }
+    for (const rec of other[coll]) {
+      if (buried(coll, rec)) continue;
+      const mine = byId.get(rec.id);
+      if (!mine) {
+        byId.set(rec.id, rec);
+        counted.added += 1;
+      } else if (isoNewerThan(recordStamp(rec), recordStamp(mine))) {
+        byId.set(rec.id, rec);
+        counted.updated += 1;
+      }
+    }
+    out[coll] = [...byId.values()];
+  }
+
+  // Stock = what the winning side had + movements it missed − its movements that were removed
+  const byProduct = (moves) => {
+    /** @type {Map<number, Map<number, number>>} */
+    const map = new Map();
+    for (const m of moves) {
+      if (!map.has(m.productId)) map.set(m.productId, new Map());
+      map.get(m.productId).set(m.id, m.qty);
+    }
+    return map;
+  };
+  const merged = byProduct(out.movements);
+  const sides = { local: byProduct(localMoves), remote: byProduct(remoteMoves) };
+  for (const p of out.products) {
+    const seen = (remoteProducts.has(p) ? sides.remote : sides.local).get(p.id) || new Map();
+    const now = merged.get(p.id) || new Map();
+    let delta = 0;
+    for (const [id, qty] of now) if (!seen.has(id)) delta += qty;
+    for (const [id, qty] of seen) if (!now.has(id)) delta -= qty;
+    if (delta) p.stock += delta;
+  }
+
+  if (isoNewerThan(other.business?.updatedAt, out.business?.updatedAt)) out.business = other.business;
+  out.tombstones = pruneTombstones([...tombs.values()]);
+  return { state: out, stats };
+}
+
+/**
+ * Human-readable summary of what differs between two states (for conflict prompts).
+ * @returns {string[]}
+ */
+function describeStateDiff(local, remote) {
+  const a = normalizeState(deepClone(local));
+  const b = normalizeState(deepClone(remote));
+  const lines = [];
+  for (const coll of SYNC_COLLECTIONS) {
+    const mine = new Map(a[coll].map(r => [r.id, r]));
+    const theirs = new Map(b[coll].map(r => [r.id, r]));
+    let onlyLocal = 0;
+    let onlyRemote = 0;
+    let changed = 0;
+    for (const [id, r] of mine) {
+      if (!theirs.has(id)) onlyLocal += 1;
+      else if (JSON.stringify(r) !== JSON.stringify(theirs.get(id))) changed += 1;
+    }
+    for (const id of theirs.keys()) {
+      if (!mine.has(id)) onlyRemote += 1;
+    }
+    if (!onlyLocal && !onlyRemote && !changed) continue;
+    lines.push(`${COLLECTION_LABELS[coll]}: ${onlyLocal} solo en este dispositivo, ${onlyRemote} solo en el remoto, ${changed} con cambios`);
+  }
+  if (!lines.length) lines.push('Sin diferencias en los registros.');
+  return lines;
+}
+
 async function registerServiceWorker() {
   if (!('serviceWorker' in navigator)) return;
   try {
@@ -311,7 +1021,7 @@ async function createSnapshot(state, reason) {
     state: deepClone(state),
   };
 
-  await idbSet(IDB_SNAPSHOT_PREFIX + id, snapshot);
+  await idbSet(IDB_SNAPSHOT_PREFIX + id, await sealValue(snapshot));
 
   const idx = await listSnapshots();
   idx.unshift({ id, at, reason: snapshot.reason });
@@ -328,6 +1038,32 @@ async function createSnapshot(state, reason) {
   return snapshot;
 }
 
+async function getSnapshot(id) {
+  return unsealValue(await idbGet(IDB_SNAPSHOT_PREFIX + id));
+}
+
+/**
+ * Re-encrypts everything sealed at rest under a new vault key (or none).
+ * Reads with the current key first, so call it while unlocked.
+ */
+async function changeVault(nextRaw, state) {
+  const snapshots = [];
+  for (const it of await listSnapshots()) {
+    try {
+      const snap = await getSnapshot(it.id);
+      if (snap) snapshots.push(snap);
+    } catch {
+      // ignore unreadable snapshots
+    }
+  }
+  const syncCfg = await getSyncConfig();
+
+  await setVault(nextRaw);
+  await idbSet(IDB_STATE_KEY, await sealValue(state));
+  for (const snap of snapshots) await idbSet(IDB_SNAPSHOT_PREFIX + snap.id, await sealValue(snap));
+  await setSyncConfig(syncCfg);
+}
+
 async function ensureDailySnapshot(state) {
   if (isStateEmpty(state)) return;
   const meta = await getMeta();
@@ -527,12 +1263,14 @@ async function renderSnapshotsUI() {
 
 async function loadState() {
   // 1) Try IndexedDB first
+  let stored = null;
   try {
-    const state = await idbGet(IDB_STATE_KEY);
-    if (state) return state;
+    stored = await idbGet(IDB_STATE_KEY);
   } catch {
     // ignore and try legacy
   }
+  // Decrypt errors must surface: falling back would overwrite the sealed state
+  if (stored) return unsealValue(stored);
 
   // 2) Legacy migration from localStorage
   try {
@@ -541,7 +1279,7 @@ async function loadState() {
     const parsed = JSON.parse(raw);
     // Persist into IndexedDB and remove legacy key (so it doesn't override later)
     try {
-      await idbSet(IDB_STATE_KEY, parsed);
+      await idbSet(IDB_STATE_KEY, await sealValue(parsed));
       localStorage.removeItem(LEGACY_STORAGE_KEY);
     } catch {
       // If IDB write fails, keep legacy as fallback
@@ -552,12 +1290,161 @@ async function loadState() {
   }
 }
 
+/**
+ * Audited collections as they were at the last save; saveState() diffs against
+ * it to write the audit log.
+ * @type {any}
+ */
+let auditBaseline = null;
+
+/** Copy of the business settings and every synced collection. */
+function dataSnapshot(state) {
+  // Entries are never edited, so the log itself doesn't need a deep copy
+  return { ...deepClone({ business: state.business, ...Object.fromEntries(SYNC_COLLECTIONS.filter(c => c !== 'audit').map(c => [c, state[c]])) }), audit: [...(state.audit || [])] };
+}
+
+function setAuditBaseline(state) {
+  auditBaseline = dataSnapshot(state);
+}
+
+/**
+ * Session-only undo/redo: the data as it was before each local save. Imports,
+ * restores and sync clear it, since going back would also undo their changes.
+ * @type {{undo:{label:string, data:any}[], redo:{label:string, data:any}[]}}
+ */
+const undoHistory = { undo: [], redo: [] };
+
+/** "Borrado: Gasto luz: Q 50.00 (+2 cambios)" from the audit entries of a save. */
+function describeUndoStep(entries) {
+  const order = { delete: 0, create: 1, update: 2 };
+  const main = [...entries].sort((a, b) => order[a.action] - order[b.action])[0];
+  return `${AUDIT_ACTIONS[main.action]}: ${main.label}${entries.length > 1 ? ` (+${entries.length - 1} cambios)` : ''}`;
+}
+
+/**
+ * Brings the data back to a snapshot, in place. Records that change are touched
+ * and the ones that go away get tombstones, so the undo also wins on the next sync.
+ */
+function revertState(state, data) {
+  for (const coll of SYNC_COLLECTIONS.filter(c => c !== 'audit')) {
+    const current = new Map(state[coll].map(r => [r.id, r]));
+    const wanted = new Set(data[coll].map(r => r.id));
+    for (const rec of state[coll]) {
+      if (!wanted.has(rec.id)) state.tombstones.push({ coll, id: rec.id, at: nowISO() });
+    }
+    state[coll] = data[coll].map(rec => {
+      const now = current.get(rec.id);
+      if (now && JSON.stringify(now) === JSON.stringify(rec)) return now;
+      state.tombstones = state.tombstones.filter(t => !(t.coll === coll && t.id === rec.id));
+      return touch(deepClone(rec));
+    });
+  }
+  if (JSON.stringify(state.business) !== JSON.stringify(data.business)) state.business = touch(deepClone(data.business));
+}
+
+/** Name shown for a record in the audit log (records may be gone later). */
+function auditLabel(state, coll, rec) {
+  if (coll === 'sales') return `Venta: ${saleSummary(state, rec)}`;
+  if (coll === 'tables') return `Mesa ${rec.table}${rec.active ? ' (en juego)' : ''}`;
+  if (coll === 'expenses') return `Gasto ${rec.type}: ${formatMoney(rec.amount)}`;
+  if (coll === 'customerPayments') return `Abono ${customerName(state, rec.customerId)}: ${formatMoney(rec.amount)}`;
+  if (coll === 'shifts') return `Turno de ${rec.cashier}`;
+  if (coll === 'tableDefs') return `Mesa ${rec.number}`;
+  if (coll === 'closings') return `Cierre del ${rec.date}`;
+  return rec.name || `#${rec.id}`;
+}
+
+/**
+ * Audit entries for what changed since the baseline. Local edits get one entry
+ * per record with the changed fields before/after; imports, restores, sync and
+ * "Borrar todo" get a single entry with counts.
+ * @returns {AuditEntry[]}
+ */
+function auditChanges(prev, state, { device, source }) {
+  const at = nowISO();
+  const user = currentUser(state);
+  const bulk = !(source in AUDIT_RECORD_SOURCES);
+  const entries = [];
+  /** @type {Object<string,{added:number,updated:number,deleted:number}>} */
+  const counts = {};
+
+  const colls = bulk ? SYNC_COLLECTIONS.filter(c => c !== 'audit') : AUDIT_COLLECTIONS;
+  for (const coll of colls) {
+    const before = new Map((prev[coll] || []).map(r => [r.id, r]));
+    const after = new Map((state[coll] || []).map(r => [r.id, r]));
+    const c = { added: 0, updated: 0, deleted: 0 };
+    const add = (action, rec, b, a) => entries.push({ id: '', at, device, user, action, source, coll, recordId: rec.id, label: auditLabel(state, coll, rec), before: b, after: a });
+
+    for (const [id, rec] of after) {
+      const old = before.get(id);
+      if (!old) {
+        c.added += 1;
+        if (!bulk) add('create', rec, undefined, rec);
+        continue;
+      }
+      const changed = [...new Set([...Object.keys(old), ...Object.keys(rec)])]
+        .filter(k => k !== 'updatedAt' && JSON.stringify(old[k]) !== JSON.stringify(rec[k]));
+      if (!changed.length) continue;
+      c.updated += 1;
+      if (!bulk) add('update', rec, Object.fromEntries(changed.map(k => [k, old[k]])), Object.fromEntries(changed.map(k => [k, rec[k]])));
+    }
+    for (const [id, rec] of before) {
+      if (after.has(id)) continue;
+      c.deleted += 1;
+      if (!bulk) add('delete', rec, rec, undefined);
+    }
+    if (c.added || c.updated || c.deleted) counts[coll] = c;
+  }
+
+  if (!bulk && prev.business && JSON.stringify({ ...prev.business, updatedAt: 0 }) !== JSON.stringify({ ...state.business, updatedAt: 0 })) {
+    const changed = Object.keys({ ...prev.business, ...state.business }).filter(k => k !== 'updatedAt' && JSON.stringify(prev.business[k]) !== JSON.stringify(state.business[k]));
+    entries.push({ id: '', at, device, user, action: 'update', source, coll: 'business', label: 'Configuración del negocio', before: Object.fromEntries(changed.map(k => [k, prev.business[k]])), after: Object.fromEntries(changed.map(k => [k, state.business[k]])) });
+  }
+
+  if (bulk) entries.push({ id: '', at, device, user, action: 'bulk', source, label: AUDIT_SOURCES[source] || source, counts });
+  return entries;
+}
+
 /**
  * @param {any} state
  * @param {{updatedAt?:string, updatedBy?:string, source?:string}=} options
  */
 async function saveState(state, options) {
-  await idbSet(IDB_STATE_KEY, state);
+  // Audit log: append what changed since the last save. Entries are never
+  // dropped, even when the whole state is replaced (import, restore, sync, clear).
+  try {
+    if (auditBaseline) {
+      const meta = await getMeta();
+      const source = options?.source || 'local';
+      const known = new Map([...(auditBaseline.audit || []), ...(state.audit || [])].map(x => [x.id, x]));
+      const entries = auditChanges(auditBaseline, state, { device: meta.deviceId || (await ensureDeviceId()), source });
+      for (const x of entries) {
+        x.id = randomId();
+        known.set(x.id, x);
+      }
+      state.audit = [...known.values()].sort((a, b) => a.at.localeCompare(b.at));
+
+      // Saves that only touch unaudited data (inventory movements, counts) still
+      // get their own step, so undoing an earlier change never reverts them too
+      const unaudited = source === 'local' && !entries.length
+        ? SYNC_COLLECTIONS.filter(c => c !== 'audit' && JSON.stringify(auditBaseline[c]) !== JSON.stringify(state[c]))
+        : [];
+      if (source === 'local' && (entries.length || unaudited.length)) {
+        const label = entries.length ? describeUndoStep(entries) : `${AUDIT_ACTIONS.update}: ${unaudited.map(c => COLLECTION_LABELS[c]).join(', ')}`;
+        undoHistory.undo.push({ label, data: auditBaseline });
+        if (undoHistory.undo.length > UNDO_LIMIT) undoHistory.undo.shift();
+        undoHistory.redo = [];
+      } else if (!(source in AUDIT_RECORD_SOURCES)) {
+        undoHistory.undo = [];
+        undoHistory.redo = [];
+      }
+    }
+  } catch {
+    // never block a save because of the log
+  }
+
+  await idbSet(IDB_STATE_KEY, await sealValue(state));
+  setAuditBaseline(state);
 
   // Update metadata for sync/conflict resolution
   try {
@@ -578,14 +1465,39 @@ function emptyState() {
     business: {
       name: 'M&S - Control Finanzas',
       currency: 'GTQ',
+      paymentMethods: deepClone(DEFAULT_PAYMENT_METHODS),
     },
     products: /** @type {Product[]} */ ([]),
     sales: /** @type {Sale[]} */ ([]),
     expenses: /** @type {Expense[]} */ ([]),
     tables: /** @type {TableSession[]} */ ([]),
+    ratePlans: /** @type {RatePlan[]} */ ([]),
+    tableDefs: /** @type {TableDef[]} */ ([]),
+    shifts: /** @type {Shift[]} */ ([]),
+    customers: /** @type {Customer[]} */ ([]),
+    customerPayments: /** @type {CustomerPayment[]} */ ([]),
+    promotions: /** @type {Promotion[]} */ ([]),
+    suppliers: /** @type {Supplier[]} */ ([]),
+    purchases: /** @type {Purchase[]} */ ([]),
+    movements: /** @type {StockMovement[]} */ ([]),
+    stockCounts: /** @type {StockCount[]} */ ([]),
+    closings: /** @type {Closing[]} */ ([]),
+    audit: /** @type {AuditEntry[]} */ ([]),
+    tombstones: /** @type {Tombstone[]} */ ([]),
   };
 }
 
+/** Fills collections missing in states saved by older versions (in place). */
+function normalizeState(state) {
+  const base = emptyState();
+  for (const key of Object.keys(base)) {
+    if (Array.isArray(base[key]) && !Array.isArray(state[key])) state[key] = base[key];
+  }
+  if (!state.business || typeof state.business !== 'object') state.business = base.business;
+  if (!Array.isArray(state.business.paymentMethods)) state.business.paymentMethods = base.business.paymentMethods;
+  return state;
+}
+
 function seedIfEmpty(state) {
   if (state.products.length || state.sales.length || state.expenses.length || state.tables.length) return state;
 
@@ -639,54 +1551,774 @@ function sum(arr) {
   return arr.reduce((a, b) => a + b, 0);
 }
 
-function computeKPIs(state) {
-  const now = new Date();
-  const d0 = startOfDay(now).toISOString();
-  const d1 = addDays(startOfDay(now), 1).toISOString();
-
-  const w0 = startOfWeek(now).toISOString();
-  const w1 = addDays(startOfWeek(now), 7).toISOString();
-
-  const m0 = startOfMonth(now).toISOString();
-  const m1 = new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString();
+/** Line items of a sale (sales recorded before tickets carry a single product). */
+function saleLines(sale) {
+  if (Array.isArray(sale.lines)) return sale.lines;
+  return [{ productId: sale.productId, qty: sale.qty, unitPrice: sale.unitPrice, unitCost: sale.unitCost, total: sale.total, profit: sale.profit }];
+}
 
-  const salesToday = state.sales.filter(s => withinRangeISO(s.at, d0, d1));
-  const salesWeek = state.sales.filter(s => withinRangeISO(s.at, w0, w1));
-  const salesMonth = state.sales.filter(s => withinRangeISO(s.at, m0, m1));
+function saleUnits(sale) {
+  return sum(saleLines(sale).map(l => Number(l.qty) || 0));
+}
 
-  const expensesToday = state.expenses.filter(e => withinRangeISO(e.at, d0, d1));
-  const expensesWeek = state.expenses.filter(e => withinRangeISO(e.at, w0, w1));
-  const expensesMonth = state.expenses.filter(e => withinRangeISO(e.at, m0, m1));
+/** @returns {SaleReturn[]} */
+function saleReturns(sale) {
+  return Array.isArray(sale.returns) ? sale.returns : [];
+}
 
-  const incomeTablesToday = state.tables
-    .filter(t => !t.active && t.endAt && withinRangeISO(t.endAt, d0, d1))
-    .map(t => Number(t.total || 0));
+function returnedQty(sale, productId) {
+  return sum(saleReturns(sale).flatMap(r => r.lines).filter(l => l.productId === productId).map(l => l.qty));
+}
 
-  const incomeSalesToday = salesToday.map(s => s.total);
+/**
+ * What is left of a sale after voids and returns. The original record is never
+ * changed: returns are kept next to it.
+ * @returns {{lines:SaleLine[], units:number, total:number, profit:number}}
+ */
+function saleNet(sale) {
+  const returns = saleReturns(sale);
+  const lines = saleLines(sale)
+    .map(l => {
+      const qty = l.qty - returnedQty(sale, l.productId);
+      return { ...l, qty, total: qty * l.unitPrice, profit: qty * (l.unitPrice - l.unitCost) };
+    })
+    .filter(l => l.qty > 0);
+  return {
+    lines,
+    units: sum(lines.map(l => l.qty)),
+    total: Number((sale.total - sum(returns.map(r => r.amount))).toFixed(2)),
+    profit: Number((sale.profit - sum(returns.map(r => r.profit))).toFixed(2)),
+  };
+}
 
-  const incomeToday = sum(incomeSalesToday) + sum(incomeTablesToday);
-  const incomeWeek = sum(salesWeek.map(s => s.total)) + sum(state.tables.filter(t => !t.active && t.endAt && withinRangeISO(t.endAt, w0, w1)).map(t => Number(t.total || 0)));
-  const incomeMonth = sum(salesMonth.map(s => s.total)) + sum(state.tables.filter(t => !t.active && t.endAt && withinRangeISO(t.endAt, m0, m1)).map(t => Number(t.total || 0)));
+function productName(state, productId) {
+  const p = state.products.find(x => x.id === productId);
+  return p ? p.name : '(producto eliminado)';
+}
 
-  const profitToday = sum(salesToday.map(s => s.profit)) - sum(expensesToday.map(e => e.amount));
-  const profitWeek = sum(salesWeek.map(s => s.profit)) - sum(expensesWeek.map(e => e.amount));
-  const profitMonth = sum(salesMonth.map(s => s.profit)) - sum(expensesMonth.map(e => e.amount));
+/** Product cost after receiving `qty` units at `unitCost` (weighted average with the stock on hand). */
+function weightedAverageCost(p, qty, unitCost) {
+  const onHand = Math.max(0, p.stock);
+  if (onHand + qty <= 0) return unitCost;
+  return Number(((onHand * p.cost + qty * unitCost) / (onHand + qty)).toFixed(2));
+}
 
-  const lowStock = state.products.filter(p => p.stock <= p.stockMin);
+/** Who is operating: the cashier of the open shift, if any. */
+function currentUser(state) {
+  return openShift(state)?.cashier || 'Sin turno';
+}
 
-  return {
-    incomeToday, incomeWeek, incomeMonth,
-    profitToday, profitWeek, profitMonth,
-    expensesToday: sum(expensesToday.map(e => e.amount)),
-    activeTables: state.tables.filter(t => t.active).length,
-    lowStock,
+/**
+ * The only way stock changes: applies `qty` (negative for outputs) to the
+ * product and records the movement for the kardex.
+ * @param {{type:string, qty:number, unitCost?:number, reason?:string, refId?:number, at?:string}} m
+ * @returns {StockMovement}
+ */
+function recordMovement(state, p, m) {
+  p.stock += m.qty;
+  touch(p);
+  // Several movements are created in the same millisecond (tickets, counts)
+  let id = uuid();
+  while (state.movements.some(x => x.id === id)) id = uuid();
+  /** @type {StockMovement} */
+  const movement = {
+    id,
+    at: m.at || nowISO(),
+    productId: p.id,
+    type: m.type,
+    qty: m.qty,
+    unitCost: m.unitCost ?? p.cost,
+    balance: p.stock,
+    user: currentUser(state),
+    reason: m.reason || undefined,
+    refId: m.refId,
   };
+  state.movements.push(touch(movement));
+  return movement;
 }
 
-function $id(id) {
-  const el = document.getElementById(id);
-  if (!el) throw new Error(`Missing element #${id}`);
-  return el;
+/**
+ * Kardex of a product, oldest first, with running balance. Stock that existed
+ * before movements were recorded shows as the opening balance.
+ */
+function productKardex(state, productId) {
+  const p = state.products.find(x => x.id === productId);
+  const moves = state.movements.filter(m => m.productId === productId).sort((a, b) => a.at.localeCompare(b.at));
+  const opening = (p ? p.stock : 0) - sum(moves.map(m => m.qty));
+  let balance = opening;
+  const rows = moves.map(m => {
+    balance += m.qty;
+    return { ...m, running: balance };
+  });
+  return { opening, rows };
+}
+
+function supplierName(state, supplierId) {
+  const x = state.suppliers.find(s => s.id === supplierId);
+  return x ? x.name : '(proveedor eliminado)';
+}
+
+/** Sales charged to a table session: they are paid with the table, not on their own. */
+function tableConsumption(state, sessionId) {
+  return state.sales.filter(s => s.tableSessionId === sessionId);
+}
+
+/**
+ * Players of a session. Sessions started before per-player tracking are
+ * billed as if everybody joined at the start (as they were before).
+ * @returns {TablePlayer[]}
+ */
+function sessionPlayers(t) {
+  if (Array.isArray(t.playerLog)) return t.playerLog;
+  return Array.from({ length: t.players }, (_, i) => ({ id: i + 1, name: `Jugador ${i + 1}`, joinAt: t.startAt }));
+}
+
+/** Materializes the player log before changing who is at the table. */
+function ensurePlayerLog(t) {
+  if (!Array.isArray(t.playerLog)) t.playerLog = sessionPlayers(t);
+  if (!Array.isArray(t.pauses)) t.pauses = [];
+  return t.playerLog;
+}
+
+function activePlayers(t) {
+  return sessionPlayers(t).filter(p => !p.leaveAt);
+}
+
+function isTablePaused(t) {
+  return (t.pauses || []).some(p => !p.endAt);
+}
+
+function overlapMs(a0, a1, b0, b1) {
+  return Math.max(0, Math.min(a1, b1) - Math.max(a0, b0));
+}
+
+/** Paused time of a session that falls inside [fromMs, toMs). */
+function pausedMsWithin(t, fromMs, toMs, atMs) {
+  return sum((t.pauses || []).map(p => overlapMs(fromMs, toMs, new Date(p.startAt).getTime(), p.endAt ? new Date(p.endAt).getTime() : atMs)));
+}
+
+/** Not-paused parts of [fromMs, toMs) as [start, end] pairs. */
+function unpausedIntervals(t, fromMs, toMs, atMs) {
+  let parts = toMs > fromMs ? [[fromMs, toMs]] : [];
+  for (const p of t.pauses || []) {
+    const p0 = new Date(p.startAt).getTime();
+    const p1 = p.endAt ? new Date(p.endAt).getTime() : atMs;
+    parts = parts.flatMap(([a, b]) => {
+      if (p1 <= a || p0 >= b) return [[a, b]];
+      const out = [];
+      if (p0 > a) out.push([a, p0]);
+      if (p1 < b) out.push([p1, b]);
+      return out;
+    });
+  }
+  return parts;
+}
+
+function minutesOfDay(hhmm) {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  return (Number.isFinite(h) ? h : 0) * 60 + (Number.isFinite(m) ? m : 0);
+}
+
+/** Hourly rate of a plan at a given moment: happy hour, then weekend, then weekday. */
+function planRateAt(plan, date) {
+  const hh = plan.happyHour;
+  if (hh && hh.rate > 0 && hh.from !== hh.to) {
+    const m = date.getHours() * 60 + date.getMinutes();
+    const from = minutesOfDay(hh.from);
+    const to = minutesOfDay(hh.to);
+    const inside = from < to ? (m >= from && m < to) : (m >= from || m < to);
+    if (inside) return hh.rate;
+  }
+  const day = date.getDay();
+  return (day === 0 || day === 6) ? plan.weekendRate : plan.weekdayRate;
+}
+
+/** Plan used by a session; sessions with a hand-typed rate bill per minute and per player. */
+function sessionPlan(t) {
+  if (t.plan) return t.plan;
+  return { id: 0, name: 'Manual', weekdayRate: t.rate, weekendRate: t.rate, happyHour: null, increment: 1, minCharge: 0, perTable: false };
+}
+
+/**
+ * Charge for the given intervals: each minute at the rate in force at that
+ * minute, then rounded up to the plan increment (e.g. per started hour).
+ */
+function chargeIntervals(plan, intervals) {
+  const minutes = Math.floor(sum(intervals.map(([a, b]) => b - a)) / 60000);
+  let amount = 0;
+  let left = minutes;
+  let lastMs = intervals.length ? intervals[0][0] : Date.now();
+  for (const [a, b] of intervals) {
+    for (let m = a; left > 0 && m < b; m += 60000, left -= 1) {
+      amount += planRateAt(plan, new Date(m)) / 60;
+      lastMs = m;
+    }
+  }
+  const inc = Math.max(1, clampInt(plan.increment, 1, 1440));
+  const billedMinutes = minutes > 0 ? Math.ceil(minutes / inc) * inc : 0;
+  amount += (billedMinutes - minutes) * planRateAt(plan, new Date(lastMs)) / 60;
+  return { minutes, billedMinutes, amount };
+}
+
+/**
+ * Bill of a table session at a given moment: each player pays for their own
+ * time at the table (join → leave), minus pauses, under the session's rate
+ * plan (or the whole table pays once if the plan is per table), plus consumption.
+ * @returns {{minutes:number, pausedMinutes:number, segments:BillSegment[], minApplied:boolean, time:number, consumption:number, total:number}}
+ */
+function computeTableBill(state, t, atMs = Date.now()) {
+  const plan = sessionPlan(t);
+  const startMs = new Date(t.startAt).getTime();
+  const endMs = t.endAt ? new Date(t.endAt).getTime() : atMs;
+  const pausedMinutes = Math.floor(pausedMsWithin(t, startMs, endMs, atMs) / 60000);
+  const minutes = Math.max(0, Math.floor((endMs - startMs) / 60000) - pausedMinutes);
+
+  const payers = plan.perTable ? [{ name: `Mesa ${t.table}`, joinAt: t.startAt }] : sessionPlayers(t);
+  const segments = payers.map(p => {
+    const from = new Date(p.joinAt).getTime();
+    const to = p.leaveAt ? Math.min(new Date(p.leaveAt).getTime(), endMs) : endMs;
+    const charge = chargeIntervals(plan, unpausedIntervals(t, from, to, atMs));
+    return {
+      name: p.name,
+      joinAt: p.joinAt,
+      leaveAt: new Date(to).toISOString(),
+      minutes: charge.minutes,
+      billedMinutes: charge.billedMinutes,
+      pausedMinutes: Math.floor(pausedMsWithin(t, from, to, atMs) / 60000),
+      amount: charge.amount,
+    };
+  });
+
+  let time = sum(segments.map(x => x.amount));
+  const minApplied = plan.minCharge > 0 && minutes > 0 && time < plan.minCharge;
+  if (minApplied) time = plan.minCharge;
+  const consumption = sum(tableConsumption(state, t.id).map(s => saleNet(s).total));
+  return { minutes, pausedMinutes, segments, minApplied, time, consumption, total: time + consumption };
+}
+
+/** One line per player for the closing breakdown. */
+function describeBillSegments(segments) {
+  return segments.map(x => {
+    const paused = x.pausedMinutes ? `, sin ${x.pausedMinutes} min de pausa` : '';
+    const billed = x.billedMinutes && x.billedMinutes !== x.minutes ? ` (se cobran ${x.billedMinutes})` : '';
+    return `${x.name}: ${formatTime(x.joinAt)}–${formatTime(x.leaveAt)} · ${x.minutes} min${billed}${paused} · ${formatMoney(x.amount)}`;
+  });
+}
+
+function describeRatePlan(plan) {
+  const parts = [`${formatMoney(plan.weekdayRate)}/h L-V`, `${formatMoney(plan.weekendRate)}/h S-D`];
+  if (plan.happyHour) parts.push(`${formatMoney(plan.happyHour.rate)}/h de ${plan.happyHour.from} a ${plan.happyHour.to}`);
+  parts.push(plan.increment >= 60 ? 'por hora iniciada' : (plan.increment > 1 ? `cada ${plan.increment} min` : 'por minuto'));
+  if (plan.minCharge > 0) parts.push(`mínimo ${formatMoney(plan.minCharge)}`);
+  parts.push(plan.perTable ? 'por mesa' : 'por jugador');
+  return parts.join(' · ');
+}
+
+/** Whether a promotion runs at a given moment (dates, weekdays and hours). */
+function promoActiveAt(promo, date) {
+  if (!promo.enabled) return false;
+  const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  if (promo.validFrom && day < promo.validFrom) return false;
+  if (promo.validTo && day > promo.validTo) return false;
+  if (promo.days && promo.days.length && !promo.days.includes(date.getDay())) return false;
+  if (promo.from && promo.to && promo.from !== promo.to) {
+    const m = date.getHours() * 60 + date.getMinutes();
+    const from = minutesOfDay(promo.from);
+    const to = minutesOfDay(promo.to);
+    if (from < to ? (m < from || m >= to) : (m < from && m >= to)) return false;
+  }
+  return true;
+}
+
+/**
+ * Discount a promotion gives on a bill: product lines plus, at table close, the
+ * time charge. `onConsumption` is the part taken off products (it lowers the
+ * margin; the rest lowers table income).
+ * @param {Promotion} promo
+ * @param {{lines:SaleLine[], time:number, minutes:number}} ctx
+ * @returns {{discount:number, onConsumption:number}}
+ */
+function computePromoDiscount(promo, ctx) {
+  const linesTotal = sum(ctx.lines.map(l => l.total));
+  const base = linesTotal + ctx.time;
+  const qtyOf = (productId) => sum(ctx.lines.filter(l => l.productId === productId).map(l => l.qty));
+  const unitPriceOf = (productId) => {
+    const qty = qtyOf(productId);
+    return qty ? sum(ctx.lines.filter(l => l.productId === productId).map(l => l.total)) / qty : 0;
+  };
+  const scoped = promo.productId ? sum(ctx.lines.filter(l => l.productId === promo.productId).map(l => l.total)) : base;
+
+  let discount = 0;
+  let onConsumption = 0;
+
+  if (promo.kind === 'percent') {
+    discount = scoped * promo.value / 100;
+    onConsumption = promo.productId ? discount : linesTotal * promo.value / 100;
+  } else if (promo.kind === 'fixed') {
+    discount = Math.min(promo.value, scoped);
+    onConsumption = promo.productId ? discount : (base ? discount * linesTotal / base : 0);
+  } else if (promo.kind === 'nxm' && promo.productId && promo.buy > promo.pay) {
+    const free = Math.floor(qtyOf(promo.productId) / promo.buy) * (promo.buy - promo.pay);
+    discount = free * unitPriceOf(promo.productId);
+    onConsumption = discount;
+  } else if (promo.kind === 'combo' && promo.combo) {
+    const { items, tableMinutes } = promo.combo;
+    // A table-time-only combo has no items, so only the minutes limit how often it applies
+    let times = items.length ? Math.min(...items.map(i => Math.floor(qtyOf(i.productId) / i.qty))) : (tableMinutes > 0 ? 1 : 0);
+    // The table part of a combo can only be used once per session
+    if (tableMinutes > 0) times = ctx.minutes >= tableMinutes ? Math.min(times, 1) : 0;
+    if (times > 0) {
+      const itemsValue = sum(items.map(i => i.qty * unitPriceOf(i.productId)));
+      const timeValue = tableMinutes > 0 && ctx.minutes ? ctx.time * Math.min(1, tableMinutes / ctx.minutes) : 0;
+      const regular = itemsValue + timeValue;
+      discount = Math.max(0, times * (regular - promo.value));
+      onConsumption = regular ? discount * itemsValue / regular : 0;
+    }
+  }
+
+  discount = Number(Math.min(Math.max(0, discount), base).toFixed(2));
+  return { discount, onConsumption: Number(Math.min(onConsumption, discount).toFixed(2)) };
+}
+
+/**
+ * Promotions that apply right now to a bill, best discount first.
+ * @param {'sale'|'table'} where
+ */
+function applicablePromotions(state, where, ctx, at = new Date()) {
+  return state.promotions
+    .filter(p => (p.scope === 'both' || p.scope === where) && promoActiveAt(p, at))
+    .map(p => ({ promo: p, ...computePromoDiscount(p, ctx) }))
+    .filter(x => x.discount > 0)
+    .sort((a, b) => b.discount - a.discount);
+}
+
+function describePromotion(state, promo) {
+  const parts = [];
+  if (promo.kind === 'percent') parts.push(`${promo.value}%${promo.productId ? ` en ${productName(state, promo.productId)}` : ''}`);
+  if (promo.kind === 'fixed') parts.push(`−${formatMoney(promo.value)}${promo.productId ? ` en ${productName(state, promo.productId)}` : ''}`);
+  if (promo.kind === 'nxm') parts.push(`${promo.buy}x${promo.pay} en ${productName(state, promo.productId)}`);
+  if (promo.kind === 'combo' && promo.combo) {
+    const items = promo.combo.items.map(i => `${i.qty} ${productName(state, i.productId)}`);
+    if (promo.combo.tableMinutes) items.unshift(`${promo.combo.tableMinutes} min de mesa`);
+    parts.push(`${items.join(' + ')} por ${formatMoney(promo.value)}`);
+  }
+  parts.push(PROMO_SCOPES[promo.scope]);
+  if (promo.days && promo.days.length && promo.days.length < 7) parts.push(promo.days.map(d => WEEKDAY_SHORT[d]).join(','));
+  if (promo.from && promo.to) parts.push(`${promo.from}–${promo.to}`);
+  if (promo.validFrom || promo.validTo) parts.push(`vigencia ${promo.validFrom || '…'} a ${promo.validTo || '…'}`);
+  return parts.join(' · ');
+}
+
+/** The shift whose drawer is currently open, if any. */
+function openShift(state) {
+  return state.shifts.find(x => !x.closedAt) || null;
+}
+
+/**
+ * How a sale or table settlement was paid. Records from before payment
+ * methods existed were all cash.
+ * @returns {Payment[]}
+ */
+function recordPayments(rec) {
+  if (Array.isArray(rec.payments)) return rec.payments;
+  const total = Number(rec.total || 0);
+  return total ? [{ method: CASH_METHOD, amount: total }] : [];
+}
+
+function cashAmountOf(rec) {
+  return sum(recordPayments(rec).filter(p => p.method === CASH_METHOD).map(p => Number(p.amount) || 0));
+}
+
+function paymentMethodLabel(state, id) {
+  if (id === ACCOUNT_METHOD) return 'Cuenta (fiado)';
+  const m = state.business.paymentMethods.find(x => x.id === id);
+  return m ? m.label : id;
+}
+
+/** Part of a sale or settlement actually collected (what went on account is a receivable). */
+function receivedAmountOf(rec) {
+  return Number(rec.total || 0) - sum(recordPayments(rec).filter(p => p.method === ACCOUNT_METHOD).map(p => Number(p.amount) || 0));
+}
+
+/**
+ * Splits a refund over the payments of the original record, in proportion, so
+ * cash goes back as cash and what was on account is taken off the account.
+ * @returns {Payment[]}
+ */
+function refundPayments(rec, amount) {
+  const paid = recordPayments(rec);
+  const total = sum(paid.map(p => Number(p.amount) || 0));
+  if (!total || !(amount > 0)) return [];
+  const out = paid.map(p => ({ ...p, amount: Number((amount * (Number(p.amount) || 0) / total).toFixed(2)) }));
+  const drift = Number((amount - sum(out.map(p => p.amount))).toFixed(2));
+  out[out.length - 1].amount = Number((out[out.length - 1].amount + drift).toFixed(2));
+  return out.filter(p => p.amount > 0);
+}
+
+/** Part of a refund actually handed back (what was on account just lowers the debt). */
+function refundedAmountOf(ret) {
+  return sum(ret.payments.filter(p => p.method !== ACCOUNT_METHOD).map(p => Number(p.amount) || 0));
+}
+
+/**
+ * Voids and returns made in a period, newest first.
+ * @returns {{sale:Sale, ret:SaleReturn}[]}
+ */
+function saleReturnsIn(state, fromISO, toISO) {
+  return state.sales
+    .flatMap(sale => saleReturns(sale).map(ret => ({ sale, ret })))
+    .filter(x => !fromISO || withinRangeISO(x.ret.at, fromISO, toISO))
+    .sort((a, b) => b.ret.at.localeCompare(a.ret.at));
+}
+
+/**
+ * Charges put on a customer's account and the payments they made, oldest first.
+ * @returns {{at:string, kind:'cargo'|'abono', amount:number, detail:string}[]}
+ */
+function customerLedger(state, customerId) {
+  const entries = [];
+  const addCharges = (rec, at, detail) => {
+    for (const p of recordPayments(rec)) {
+      if (p.method === ACCOUNT_METHOD && p.customerId === customerId) entries.push({ at, kind: 'cargo', amount: Number(p.amount) || 0, detail });
+    }
+  };
+  state.sales.filter(s => !s.tableSessionId).forEach(s => addCharges(s, s.at, saleSummary(state, s)));
+  state.tables.filter(t => !t.active && t.endAt).forEach(t => addCharges(t, t.endAt, `Mesa ${t.table}`));
+  for (const x of state.customerPayments.filter(x => x.customerId === customerId)) {
+    entries.push({ at: x.at, kind: 'abono', amount: x.amount, detail: `Abono (${paymentMethodLabel(state, x.method)})${x.notes ? ` — ${x.notes}` : ''}` });
+  }
+  // Returning something bought on account takes it off the balance
+  for (const { sale, ret } of saleReturnsIn(state)) {
+    for (const p of ret.payments) {
+      if (p.method === ACCOUNT_METHOD && p.customerId === customerId) entries.push({ at: ret.at, kind: 'abono', amount: Number(p.amount) || 0, detail: `${ret.kind === 'anulacion' ? 'Anulación' : 'Devolución'}: ${saleSummary(state, sale)}` });
+    }
+  }
+  return entries.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * Outstanding balance, split into age buckets. Payments settle the oldest charges first.
+ * @returns {{balance:number, buckets:number[], oldest:string|null}}
+ */
+function customerAging(state, customerId, now = new Date()) {
+  const ledger = customerLedger(state, customerId);
+  let paid = sum(ledger.filter(e => e.kind === 'abono').map(e => e.amount));
+  const buckets = AGING_BUCKETS.map(() => 0);
+  let oldest = null;
+
+  for (const e of ledger.filter(x => x.kind === 'cargo')) {
+    const open = Math.max(0, e.amount - paid);
+    paid = Math.max(0, paid - e.amount);
+    if (open < 0.005) continue;
+    const days = Math.floor((now.getTime() - new Date(e.at).getTime()) / 86400000);
+    buckets[AGING_BUCKETS.findIndex(b => days <= b.max)] += open;
+    if (!oldest) oldest = e.at;
+  }
+
+  // Overpayments leave a credit in the customer's favour (negative balance)
+  const balance = Number((sum(ledger.filter(e => e.kind === 'cargo').map(e => e.amount)) - sum(ledger.filter(e => e.kind === 'abono').map(e => e.amount))).toFixed(2));
+  return { balance, buckets, oldest };
+}
+
+function customerName(state, customerId) {
+  const c = state.customers.find(x => x.id === customerId);
+  return c ? c.name : '(cliente eliminado)';
+}
+
+/** "Efectivo Q 10.00 + Tarjeta Q 5.00 (Luis)" */
+function describePayments(state, rec) {
+  return recordPayments(rec)
+    .map(p => {
+      const who = [p.payer, p.customerId ? customerName(state, p.customerId) : ''].filter(Boolean).join(', ');
+      return `${paymentMethodLabel(state, p.method)} ${formatMoney(p.amount)}${who ? ` (${who})` : ''}`;
+    })
+    .join(' + ');
+}
+
+/**
+ * Money collected per payment method: standalone sales, table settlements and
+ * customer account payments, less refunds. Amounts put on account are left out
+ * until paid.
+ * @returns {Map<string, number>}
+ */
+function incomeByMethod(sales, tables, collections = [], refunds = []) {
+  const out = new Map();
+  const add = (method, amount) => {
+    if (method === ACCOUNT_METHOD) return;
+    out.set(method, (out.get(method) || 0) + (Number(amount) || 0));
+  };
+  const addRecord = (rec) => recordPayments(rec).forEach(p => add(p.method, p.amount));
+  sales.filter(s => !s.tableSessionId).forEach(addRecord);
+  tables.filter(t => !t.active).forEach(addRecord);
+  collections.forEach(x => add(x.method, x.amount));
+  refunds.forEach(r => r.payments.forEach(p => add(p.method, -p.amount)));
+  return out;
+}
+
+/**
+ * Cash that went through the drawer during a shift: the cash part of standalone
+ * sales, table settlements and customer account payments, minus cash refunds
+ * and expenses paid from the drawer.
+ */
+function shiftCashSummary(state, shift) {
+  const sales = state.sales.filter(s => s.shiftId === shift.id && !s.tableSessionId);
+  const tables = state.tables.filter(t => t.shiftId === shift.id && !t.active);
+  const collections = state.customerPayments.filter(x => x.shiftId === shift.id);
+  const expenses = state.expenses.filter(e => e.shiftId === shift.id && e.fromDrawer);
+  const refunds = saleReturnsIn(state).map(x => x.ret).filter(r => r.shiftId === shift.id);
+
+  const salesCash = sum(sales.map(cashAmountOf));
+  const tablesCash = sum(tables.map(cashAmountOf));
+  const collectionsCash = sum(collections.filter(x => x.method === CASH_METHOD).map(x => Number(x.amount) || 0));
+  const expensesTotal = sum(expenses.map(e => Number(e.amount || 0)));
+  const refundsCash = sum(refunds.flatMap(r => r.payments).filter(p => p.method === CASH_METHOD).map(p => Number(p.amount) || 0));
+  const expected = Number(shift.openingFloat || 0) + salesCash + tablesCash + collectionsCash - refundsCash - expensesTotal;
+
+  // Card, transfers, etc. don't go into the drawer but help reconcile the terminal
+  const byMethod = incomeByMethod(sales, tables, collections, refunds);
+  byMethod.delete(CASH_METHOD);
+
+  return { sales, tables, collections, refunds, expenses, salesCash, tablesCash, collectionsCash, refundsCash, expensesTotal, nonCash: byMethod, expected: Number(expected.toFixed(2)) };
+}
+
+/** Total of a denomination count ({ "200": 3, "0.25": 8 }). */
+function countedCash(denoms) {
+  return Number(sum(Object.entries(denoms).map(([d, n]) => Number(d) * (Number(n) || 0))).toFixed(2));
+}
+
+/** "Cerveza x3, Papas x2" */
+function saleSummary(state, sale) {
+  return saleLines(sale).map(l => `${productName(state, l.productId)} x${l.qty}`).join(', ');
+}
+
+function returnSummary(state, ret) {
+  return ret.lines.map(l => `${productName(state, l.productId)} x${l.qty}`).join(', ');
+}
+
+/** Table-time income of a closed session, after the part of the discount that applied to time. */
+function tableTimeRevenue(t) {
+  const time = t.timeTotal ?? (Number(t.total || 0) - Number(t.consumptionTotal || 0));
+  return time - (Number(t.discount || 0) - Number(t.discountOnConsumption || 0));
+}
+
+/**
+ * Profit & loss for [from, to): table time and product revenue (discounts
+ * already taken off), voids/returns, cost of goods sold, inventory losses and
+ * expenses by type. Table consumption counts when the table is closed;
+ * merchandise bought through "Recibir mercadería" is inventory, so its expense
+ * is only a memo line (the cost comes in through COGS when sold).
+ */
+function computePnL(state, fromISO, toISO) {
+  const inRange = (iso) => withinRangeISO(iso, fromISO, toISO);
+  const tables = state.tables.filter(t => !t.active && t.endAt && inRange(t.endAt));
+  const sales = [
+    ...state.sales.filter(s => !s.tableSessionId && inRange(s.at)),
+    ...tables.flatMap(t => tableConsumption(state, t.id)),
+  ];
+  const returns = saleReturnsIn(state, fromISO, toISO).map(x => x.ret);
+
+  const tableRevenue = sum(tables.map(tableTimeRevenue));
+  const productRevenue = sum(sales.map(s => Number(s.total) || 0)) - sum(tables.map(t => Number(t.discountOnConsumption || 0)));
+  const returned = sum(returns.map(r => r.amount));
+  const revenue = tableRevenue + productRevenue - returned;
+
+  // Goods that came back to stock are no longer a cost
+  const cogs = sum(sales.flatMap(saleLines).map(l => l.qty * l.unitCost)) - sum(returns.map(r => r.amount - r.profit));
+  const inventoryLoss = -sum(state.movements
+    .filter(m => ['merma', 'consumo', 'conteo', 'ajuste'].includes(m.type) && inRange(m.at))
+    .map(m => m.qty * m.unitCost));
+  const grossMargin = revenue - cogs - inventoryLoss;
+
+  const expensesIn = state.expenses.filter(e => inRange(e.at));
+  /** @type {Map<string, number>} */
+  const byType = new Map();
+  for (const e of expensesIn.filter(x => !x.purchaseId)) byType.set(e.type, (byType.get(e.type) || 0) + Number(e.amount || 0));
+  const expenses = sum([...byType.values()]);
+
+  const round = (n) => Number(n.toFixed(2));
+  return {
+    tableRevenue: round(tableRevenue),
+    productRevenue: round(productRevenue),
+    returns: round(returned),
+    revenue: round(revenue),
+    cogs: round(cogs),
+    inventoryLoss: round(inventoryLoss),
+    grossMargin: round(grossMargin),
+    grossMarginPct: revenue ? grossMargin / revenue * 100 : 0,
+    expensesByType: [...byType].map(([type, amount]) => ({ type, amount: round(amount) })).sort((a, b) => b.amount - a.amount),
+    expenses: round(expenses),
+    net: round(grossMargin - expenses),
+    discounts: round(sum(sales.map(s => Number(s.discount || 0))) + sum(tables.map(t => Number(t.discount || 0)))),
+    purchases: round(sum(expensesIn.filter(x => x.purchaseId).map(x => Number(x.amount || 0)))),
+    tablesCount: tables.length,
+    salesCount: sales.filter(s => !s.tableSessionId).length,
+  };
+}
+
+/** Today / this week / this month / last month... as [from, to) dates. */
+function periodRange(preset, now = new Date()) {
+  const d0 = startOfDay(now);
+  const m0 = startOfMonth(now);
+  switch (preset) {
+    case 'yesterday': return [addDays(d0, -1), d0];
+    case 'week': return [startOfWeek(now), addDays(startOfWeek(now), 7)];
+    case 'lastWeek': return [addDays(startOfWeek(now), -7), startOfWeek(now)];
+    case 'month': return [m0, new Date(now.getFullYear(), now.getMonth() + 1, 1)];
+    case 'lastMonth': return [new Date(now.getFullYear(), now.getMonth() - 1, 1), m0];
+    case 'year': return [new Date(now.getFullYear(), 0, 1), new Date(now.getFullYear() + 1, 0, 1)];
+    default: return [d0, addDays(d0, 1)];
+  }
+}
+
+/** Local yyyy-mm-dd for date inputs. */
+function dateInputValue(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Sales figures of every product over [from, to), net of voids and returns.
+ * Sale-level discounts are spread over the lines so revenue matches what was charged.
+ * @returns {{product:Product, units:number, revenue:number, profit:number, marginPct:number, velocity:number, daysOfStock:number|null, lastSaleAt:string|null, dead:boolean, lowMargin:boolean, listMarginPct:number}[]}
+ */
+function productPerformance(state, fromISO, toISO, { deadDays = 30, targetMargin = 30, now = new Date() } = {}) {
+  /** @type {Map<number, {units:number, revenue:number, profit:number}>} */
+  const byProduct = new Map();
+  /** @type {Map<number, string>} */
+  const lastSale = new Map();
+  for (const sale of state.sales) {
+    const net = saleNet(sale);
+    const gross = sum(net.lines.map(l => l.total));
+    const factor = gross ? net.total / gross : 0;
+    for (const l of net.lines) {
+      if (!lastSale.has(l.productId) || sale.at > lastSale.get(l.productId)) lastSale.set(l.productId, sale.at);
+      if (!withinRangeISO(sale.at, fromISO, toISO)) continue;
+      const row = byProduct.get(l.productId) || { units: 0, revenue: 0, profit: 0 };
+      const revenue = l.total * factor;
+      row.units += l.qty;
+      row.revenue += revenue;
+      row.profit += revenue - l.qty * l.unitCost;
+      byProduct.set(l.productId, row);
+    }
+  }
+
+  // Velocity over the part of the period that already happened
+  const end = Math.min(now.getTime(), new Date(toISO).getTime());
+  const days = Math.max(1, (end - new Date(fromISO).getTime()) / 86400000);
+  const deadSince = addDays(startOfDay(now), -deadDays).toISOString();
+  const round = (n) => Number(n.toFixed(2));
+
+  return state.products.map(product => {
+    const row = byProduct.get(product.id) || { units: 0, revenue: 0, profit: 0 };
+    const velocity = row.units / days;
+    const lastSaleAt = lastSale.get(product.id) || null;
+    const listMarginPct = product.price ? (product.price - product.cost) / product.price * 100 : 0;
+    return {
+      product,
+      units: row.units,
+      revenue: round(row.revenue),
+      profit: round(row.profit),
+      marginPct: row.revenue ? row.profit / row.revenue * 100 : 0,
+      velocity,
+      daysOfStock: velocity > 0 ? Math.max(0, product.stock) / velocity : null,
+      lastSaleAt,
+      dead: product.stock > 0 && (!lastSaleAt || lastSaleAt < deadSince),
+      lowMargin: listMarginPct < targetMargin,
+      listMarginPct,
+    };
+  });
+}
+
+/**
+ * Suggested order per product: enough to cover `coverDays` at the recent sales
+ * rate plus a safety stock (never below the product's minimum), grouped by the
+ * supplier the product was last received from.
+ * @returns {{supplier:Supplier|null, lines:{product:Product, velocity:number, safety:number, target:number, qty:number, total:number, daysLeft:number|null}[], total:number}[]}
+ */
+function reorderPlan(state, { salesDays = 30, coverDays = 7, safetyDays = 3, now = new Date() } = {}) {
+  const from = addDays(startOfDay(now), -salesDays + 1).toISOString();
+  const to = addDays(startOfDay(now), 1).toISOString();
+  /** @type {Map<number, ReturnType<typeof reorderPlan>[number]>} */
+  const groups = new Map();
+  for (const r of productPerformance(state, from, to, { now })) {
+    const p = r.product;
+    const safety = Math.max(p.stockMin, Math.ceil(r.velocity * safetyDays));
+    const target = Math.ceil(r.velocity * coverDays) + safety;
+    const qty = target - Math.max(0, p.stock);
+    if (qty <= 0) continue;
+    const supplier = state.suppliers.find(x => x.id === p.supplierId) || null;
+    const key = supplier ? supplier.id : 0;
+    if (!groups.has(key)) groups.set(key, { supplier, lines: [], total: 0 });
+    const group = groups.get(key);
+    group.lines.push({ product: p, velocity: r.velocity, safety, target, qty, total: Number((qty * p.cost).toFixed(2)), daysLeft: r.daysOfStock });
+    group.total = Number((group.total + qty * p.cost).toFixed(2));
+  }
+  for (const g of groups.values()) g.lines.sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || a.product.name.localeCompare(b.product.name, 'es'));
+  // Products without a known supplier go last
+  return [...groups.values()].sort((a, b) => (!a.supplier) - (!b.supplier) || (a.supplier?.name || '').localeCompare(b.supplier?.name || '', 'es'));
+}
+
+/** Plain-text purchase order for one supplier (WhatsApp, SMS, email). */
+function reorderText(state, group) {
+  return [
+    `Pedido — ${state.business?.name || 'M&S - Control Finanzas'}`,
+    ...(group.supplier ? [`Para: ${group.supplier.name}`] : []),
+    `Fecha: ${new Date().toLocaleDateString('es-GT')}`,
+    '',
+    ...group.lines.map(l => `- ${l.qty} × ${l.product.name}`),
+    '',
+    'Gracias.',
+  ].join('\n');
+}
+
+function computeKPIs(state) {
+  const now = new Date();
+  const d0 = startOfDay(now).toISOString();
+  const d1 = addDays(startOfDay(now), 1).toISOString();
+
+  const w0 = startOfWeek(now).toISOString();
+  const w1 = addDays(startOfWeek(now), 7).toISOString();
+
+  const m0 = startOfMonth(now).toISOString();
+  const m1 = new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString();
+
+  const expensesToday = state.expenses.filter(e => withinRangeISO(e.at, d0, d1));
+
+  // Sales charged to a table are counted through the table settlement; what goes
+  // on a customer's account counts when the customer pays it. Voids and returns
+  // count on the day the money is handed back.
+  const incomeIn = (from, to) =>
+    sum(state.sales.filter(s => !s.tableSessionId && withinRangeISO(s.at, from, to)).map(receivedAmountOf))
+    + sum(state.tables.filter(t => !t.active && t.endAt && withinRangeISO(t.endAt, from, to)).map(receivedAmountOf))
+    + sum(state.customerPayments.filter(x => withinRangeISO(x.at, from, to)).map(x => Number(x.amount) || 0))
+    - sum(saleReturnsIn(state, from, to).map(x => refundedAmountOf(x.ret)));
+
+  const incomeToday = incomeIn(d0, d1);
+  const incomeWeek = incomeIn(w0, w1);
+  const incomeMonth = incomeIn(m0, m1);
+
+  // Same figure as the net result of the P&L (table time included)
+  const profitToday = computePnL(state, d0, d1).net;
+  const profitWeek = computePnL(state, w0, w1).net;
+  const profitMonth = computePnL(state, m0, m1).net;
+
+  const lowStock = state.products.filter(p => p.stock <= p.stockMin);
+
+  const receivables = sum(state.customers.map(c => Math.max(0, customerAging(state, c.id, now).balance)));
+
+  return {
+    incomeToday, incomeWeek, incomeMonth,
+    profitToday, profitWeek, profitMonth,
+    receivables,
+    expensesToday: sum(expensesToday.map(e => e.amount)),
+    activeTables: state.tables.filter(t => t.active).length,
+    lowStock,
+  };
+}
+
+function $id(id) {
+  const el = document.getElementById(id);
+  if (!el) throw new Error(`Missing element #${id}`);
+  return el;
 }
 
 function setSection(id) {
@@ -704,6 +2336,74 @@ function setSection(id) {
   }
 }
 
+/** While locked nothing behind the lock screen can be focused, clicked or typed into. */
+function setAppInert(inert) {
+  for (const el of document.body.children) {
+    if (el.id !== 'lockScreen' && el.id !== 'toast') /** @type {HTMLElement} */ (el).inert = inert;
+  }
+}
+
+/**
+ * Covers the app until the PIN (or the recovery key plus a new PIN) opens the vault.
+ * @returns {Promise<void>}
+ */
+function showLockScreen(lock) {
+  const screen = $id('lockScreen');
+  const form = $id('lockForm');
+  const recoveryForm = $id('lockRecoveryForm');
+  const pinInput = /** @type {HTMLInputElement} */ ($id('lockPinInput'));
+  const errorEl = $id('lockError');
+
+  errorEl.textContent = '';
+  pinInput.value = '';
+  screen.hidden = false;
+  document.body.classList.add('locked');
+  setAppInert(true);
+  pinInput.focus();
+
+  return new Promise((resolve) => {
+    const finish = () => {
+      form.removeEventListener('submit', onPin);
+      recoveryForm.removeEventListener('submit', onRecovery);
+      screen.hidden = true;
+      document.body.classList.remove('locked');
+      setAppInert(false);
+      resolve();
+    };
+
+    const onPin = async (e) => {
+      e.preventDefault();
+      try {
+        await setVault(await openVaultWithPin(lock, pinInput.value));
+        finish();
+      } catch (err) {
+        errorEl.textContent = err?.message || String(err);
+        pinInput.select();
+      }
+    };
+
+    const onRecovery = async (e) => {
+      e.preventDefault();
+      try {
+        const newPin = $id('lockRecoveryPin').value;
+        if (newPin.length < LOCK_MIN_PIN_LENGTH) throw new Error(`El nuevo PIN debe tener al menos ${LOCK_MIN_PIN_LENGTH} caracteres.`);
+        const raw = await openVaultWithRecovery(lock, $id('lockRecoveryKey').value);
+        lock.pin = await wrapWithPin(raw, newPin);
+        await idbSet(IDB_LOCK_KEY, lock);
+        await setVault(raw);
+        recoveryForm.reset();
+        finish();
+        toast('PIN cambiado', 'Acceso recuperado con la clave de recuperación.');
+      } catch (err) {
+        errorEl.textContent = err?.message || String(err);
+      }
+    };
+
+    form.addEventListener('submit', onPin);
+    recoveryForm.addEventListener('submit', onRecovery);
+  });
+}
+
 function renderDashboard(state) {
   const k = computeKPIs(state);
   $id('kpiIncomeToday').textContent = formatMoney(k.incomeToday);
@@ -715,6 +2415,7 @@ function renderDashboard(state) {
   $id('kpiProfitMonth').textContent = formatMoney(k.profitMonth);
 
   $id('kpiExpensesToday').textContent = formatMoney(k.expensesToday);
+  $id('kpiReceivables').textContent = formatMoney(k.receivables);
   $id('kpiActiveTables').textContent = String(k.activeTables);
 
   const ul = $id('lowStockList');
@@ -734,6 +2435,20 @@ function renderDashboard(state) {
         li.textContent = `${p.name} — Stock ${p.stock} (mín. ${p.stockMin})`;
         ul.appendChild(li);
       });
+    if (k.lowStock.length > 8) {
+      const li = document.createElement('li');
+      li.className = 'small';
+      li.textContent = `… y ${k.lowStock.length - 8} más.`;
+      ul.appendChild(li);
+    }
+  }
+
+  const toOrder = reorderPlanFromForm(state).flatMap(g => g.lines).length;
+  if (toOrder) {
+    const li = document.createElement('li');
+    li.className = 'small';
+    li.textContent = `Plan de compras: ${toOrder} producto(s) por pedir según el ritmo de venta (Inventario).`;
+    ul.appendChild(li);
   }
 }
 
@@ -787,538 +2502,3876 @@ function renderSales(state) {
   const sales = [...state.sales].sort((a, b) => b.at.localeCompare(a.at));
 
   for (const s of sales.slice(0, 80)) {
-    const p = state.products.find(x => x.id === s.productId);
-    const name = p ? p.name : '(producto eliminado)';
+    const session = s.tableSessionId ? state.tables.find(t => t.id === s.tableSessionId) : null;
+    const charged = (s.tableSessionId ? ` — cargado a Mesa ${session ? session.table : '?'}` : '')
+      + (s.discount ? ` — ${s.promotionName} −${formatMoney(s.discount)}` : '');
+    const net = saleNet(s);
+    const returned = saleReturns(s).filter(r => r.kind === 'devolucion');
+    const status = s.voidedAt
+      ? `<div><span class="badge off">Anulada</span> <span class="small">${escapeHtml(s.voidReason || '')}</span></div>`
+      : returned.length ? `<div class="small">Devuelto: ${escapeHtml(returned.map(r => returnSummary(state, r)).join(', '))} (−${formatMoney(sum(returned.map(r => r.amount)))})</div>` : '';
     const tr = document.createElement('tr');
     tr.innerHTML = `
       <td data-label="Fecha">${formatDateTime(s.at)}</td>
-      <td data-label="Producto">${escapeHtml(name)}</td>
-      <td data-label="Cant.">${s.qty}</td>
-      <td data-label="Total">${formatMoney(s.total)}</td>
-      <td data-label="Ganancia" class="text-success">${formatMoney(s.profit)}</td>
-      <td class="actions" data-label=""><button class="btn danger" data-act="sale-del" data-id="${s.id}">Eliminar</button></td>
+      <td data-label="Productos">${escapeHtml(saleSummary(state, s) + charged)}${status}</td>
+      <td data-label="Cant.">${net.units}</td>
+      <td data-label="Total">${formatMoney(net.total)}</td>
+      <td data-label="Ganancia" class="text-success">${formatMoney(net.profit)}</td>
+      <td class="actions" data-label="">
+        <button class="btn" data-act="sale-receipt" data-id="${s.id}">Ticket</button>${s.voidedAt || !net.units ? '' : `
+        <button class="btn" data-act="sale-return" data-id="${s.id}">Devolver</button>
+        <button class="btn danger" data-act="sale-void" data-id="${s.id}">Anular</button>`}
+      </td>
     `;
     tbody.appendChild(tr);
   }
 }
 
-function renderExpenses(state) {
-  const tbody = $id('expensesTbody');
-  tbody.innerHTML = '';
-  const expenses = [...state.expenses].sort((a, b) => b.at.localeCompare(a.at));
+// Charts: plain SVG strings (no chart library, the app works offline)
+const CHART_W = 600;
+const CHART_H = 180;
+const CHART_PAD = { top: 10, right: 8, bottom: 22, left: 52 };
 
-  for (const e of expenses.slice(0, 120)) {
-    const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td data-label="Fecha">${formatDateTime(e.at)}</td>
-      <td data-label="Tipo">${escapeHtml(e.type)}</td>
-      <td data-label="Monto">${formatMoney(e.amount)}</td>
-      <td data-label="Descripción">${escapeHtml(e.description || '')}</td>
-      <td class="actions" data-label=""><button class="btn danger" data-act="exp-del" data-id="${e.id}">Eliminar</button></td>
-    `;
-    tbody.appendChild(tr);
-  }
+/** Money without decimals for chart axes. */
+function axisMoney(n) {
+  return (Number(n) || 0).toLocaleString('es-GT', { style: 'currency', currency: 'GTQ', maximumFractionDigits: 0 });
 }
 
-function renderTables(state) {
-  const tbody = $id('tablesTbody');
-  tbody.innerHTML = '';
+/** Rounds an axis limit up to 1, 2 or 5 × 10ⁿ (at least 10) so tick labels stay round. */
+function niceMax(v) {
+  if (v <= 10) return 10;
+  const p = 10 ** Math.floor(Math.log10(v));
+  return [1, 2, 5, 10].map(m => m * p).find(x => x >= v);
+}
 
-  const active = state.tables.filter(t => t.active).sort((a, b) => a.table - b.table);
+/** Horizontal grid lines and labels at the given values. */
+function chartGrid(ticks, y) {
+  return ticks.map(v => `
+    <line x1="${CHART_PAD.left}" x2="${CHART_W - CHART_PAD.right}" y1="${y(v)}" y2="${y(v)}" class="chart-grid" />
+    <text x="${CHART_PAD.left - 6}" y="${y(v) + 4}" text-anchor="end" class="chart-label">${escapeHtml(axisMoney(v))}</text>`).join('');
+}
 
-  for (const t of active) {
-    const started = new Date(t.startAt);
-    const mins = Math.max(0, Math.floor((Date.now() - started.getTime()) / 60000));
-    const total = (mins / 60) * t.rate * t.players;
+/** A few evenly spaced x labels (day/month) so they don't overlap. */
+function chartXLabels(labels, x, step) {
+  const every = Math.max(1, Math.ceil(labels.length / 8));
+  return labels.map((l, i) => (i % every === 0
+    ? `<text x="${x(i) + step / 2}" y="${CHART_H - 6}" text-anchor="middle" class="chart-label">${escapeHtml(l)}</text>`
+    : '')).join('');
+}
 
-    const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td data-label="Mesa">Mesa ${t.table}</td>
-      <td data-label="Jugadores">${t.players}</td>
-      <td data-label="Tarifa">${formatMoney(t.rate)}/h/jugador</td>
-      <td data-label="Tiempo">${mins} min</td>
-      <td data-label="Total">${formatMoney(total)}</td>
-      <td class="actions" data-label="">
-        <button class="btn warn" data-act="table-stop" data-id="${t.id}">Finalizar</button>
-        <button class="btn" data-act="table-plus" data-id="${t.id}">+ Jugador</button>
-      </td>
-    `;
-    tbody.appendChild(tr);
-  }
+/**
+ * Stacked bars, one per label.
+ * @param {string[]} labels
+ * @param {{name:string, className:string, values:number[]}[]} series
+ */
+function stackedBarChartSvg(labels, series) {
+  const totals = labels.map((_, i) => sum(series.map(x => Math.max(0, x.values[i]))));
+  const max = niceMax(Math.max(...totals));
+  const plotH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const step = (CHART_W - CHART_PAD.left - CHART_PAD.right) / Math.max(1, labels.length);
+  const x = (i) => CHART_PAD.left + i * step;
+  const y = (v) => CHART_PAD.top + plotH - (v / max) * plotH;
+
+  const bars = labels.map((label, i) => {
+    let base = 0;
+    return series.map(sr => {
+      const v = Math.max(0, sr.values[i]);
+      if (!v) return '';
+      const rect = `<rect x="${x(i) + step * 0.15}" width="${step * 0.7}" y="${y(base + v)}" height="${y(base) - y(base + v)}" class="${sr.className}"><title>${escapeHtml(`${label} · ${sr.name}: ${formatMoney(v)}`)}</title></rect>`;
+      base += v;
+      return rect;
+    }).join('');
+  }).join('');
+
+  return `<svg viewBox="0 0 ${CHART_W} ${CHART_H}" role="img" class="chart">${chartGrid([0, max / 2, max], y)}${bars}${chartXLabels(labels, x, step)}</svg>`;
+}
 
-  if (active.length === 0) {
-    const tr = document.createElement('tr');
-    tr.innerHTML = `<td colspan="6" class="small">No hay mesas activas.</td>`;
-    tbody.appendChild(tr);
-  }
+/** Line with a zero baseline; points below zero are drawn as losses. */
+function lineChartSvg(labels, values, name) {
+  const low = Math.min(0, ...values);
+  const min = low < 0 ? -niceMax(-low) : 0;
+  const max = niceMax(Math.max(0, ...values));
+  const plotH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const step = (CHART_W - CHART_PAD.left - CHART_PAD.right) / Math.max(1, labels.length);
+  const x = (i) => CHART_PAD.left + i * step + step / 2;
+  const y = (v) => CHART_PAD.top + plotH - ((v - min) / (max - min || 1)) * plotH;
+  const points = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+  const dots = values.map((v, i) => `<circle cx="${x(i)}" cy="${y(v)}" r="2.5" class="${v < 0 ? 'chart-loss' : 'chart-line-dot'}"><title>${escapeHtml(`${labels[i]} · ${name}: ${formatMoney(v)}`)}</title></circle>`).join('');
+  return `<svg viewBox="0 0 ${CHART_W} ${CHART_H}" role="img" class="chart">${chartGrid(min < 0 ? [min, 0, max] : [0, max / 2, max], y)}
+    <line x1="${CHART_PAD.left}" x2="${CHART_W - CHART_PAD.right}" y1="${y(0)}" y2="${y(0)}" class="chart-zero" />
+    <polyline points="${points}" class="chart-line" />${dots}${chartXLabels(labels, (i) => x(i) - step / 2, step)}</svg>`;
 }
 
-function escapeHtml(s) {
-  return String(s)
-    .replaceAll('&', '&amp;')
-    .replaceAll('<', '&lt;')
-    .replaceAll('>', '&gt;')
-    .replaceAll('"', '&quot;')
-    .replaceAll("'", '&#039;');
+/** One horizontal bar per item, largest first. */
+function hBarChartSvg(items) {
+  const rowH = 24;
+  const h = Math.max(1, items.length) * rowH + 6;
+  const labelW = 130;
+  const max = Math.max(1, ...items.map(x => x.value));
+  const w = (v) => (v / max) * (CHART_W - labelW - 90);
+  const rows = items.map((it, i) => `
+    <text x="${labelW - 6}" y="${i * rowH + 16}" text-anchor="end" class="chart-label">${escapeHtml(it.label)}</text>
+    <rect x="${labelW}" y="${i * rowH + 4}" width="${Math.max(1, w(it.value))}" height="${rowH - 8}" class="chart-expense"><title>${escapeHtml(`${it.label}: ${formatMoney(it.value)}`)}</title></rect>
+    <text x="${labelW + w(it.value) + 6}" y="${i * rowH + 16}" class="chart-label">${escapeHtml(formatMoney(it.value))}</text>`).join('');
+  return `<svg viewBox="0 0 ${CHART_W} ${h}" role="img" class="chart">${rows}</svg>`;
 }
 
-function downloadText(filename, content, mime = 'text/plain') {
-  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+/**
+ * Weekday × hour grid; `cells[day][hour]` is the average number of tables in
+ * use (day 0 = Monday).
+ */
+function heatmapSvg(cells) {
+  const labelW = 34;
+  const cw = (CHART_W - labelW) / 24;
+  const ch = 20;
+  const max = Math.max(0.01, ...cells.flat());
+  const days = ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'];
+  const rects = cells.map((row, d) => row.map((v, hr) => `<rect x="${labelW + hr * cw}" y="${d * ch}" width="${cw - 1}" height="${ch - 1}" class="chart-heat" style="fill-opacity:${v ? (0.12 + 0.88 * v / max).toFixed(2) : 0.04}"><title>${days[d]} ${String(hr).padStart(2, '0')}:00 · ${v.toFixed(1)} mesa(s) en promedio</title></rect>`).join('')).join('');
+  const rowLabels = days.map((d, i) => `<text x="${labelW - 6}" y="${i * ch + 14}" text-anchor="end" class="chart-label">${d}</text>`).join('');
+  const hourLabels = [0, 3, 6, 9, 12, 15, 18, 21].map(hr => `<text x="${labelW + hr * cw + cw / 2}" y="${7 * ch + 14}" text-anchor="middle" class="chart-label">${hr}h</text>`).join('');
+  return `<svg viewBox="0 0 ${CHART_W} ${7 * ch + 20}" role="img" class="chart">${rects}${rowLabels}${hourLabels}</svg>`;
+}
+
+/**
+ * P&L of each of the last `days` days, oldest first. Records are grouped by day
+ * in one pass and computePnL() only sees each day's share, instead of scanning
+ * the whole history once per day.
+ */
+function dailyPnL(state, days, now = new Date()) {
+  const d0 = startOfDay(now);
+  const bounds = Array.from({ length: days + 1 }, (_, i) => addDays(d0, i - days + 1).toISOString());
+  const buckets = Array.from({ length: days }, () => ({ tables: new Set(), sales: new Set(), expenses: new Set(), movements: new Set() }));
+  // Day an ISO time falls in (days aren't all 24 h long with DST), -1 outside the window
+  const dayOf = (iso) => {
+    if (!iso || iso < bounds[0] || iso >= bounds[days]) return -1;
+    let lo = 0;
+    let hi = days - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (bounds[mid] <= iso) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  };
+  const put = (iso, coll, rec) => {
+    const i = dayOf(iso);
+    if (i >= 0) buckets[i][coll].add(rec);
+  };
+
+  /** @type {Map<number, string>} */
+  const closedAt = new Map();
+  for (const t of state.tables) {
+    if (t.active || !t.endAt) continue;
+    closedAt.set(t.id, t.endAt);
+    put(t.endAt, 'tables', t);
+  }
+  // Table consumption counts on the day its table closed; returns on their own day
+  for (const s of state.sales) {
+    put(s.tableSessionId ? closedAt.get(s.tableSessionId) : s.at, 'sales', s);
+    for (const ret of saleReturns(s)) put(ret.at, 'sales', s);
+  }
+  for (const e of state.expenses) put(e.at, 'expenses', e);
+  for (const m of state.movements) put(m.at, 'movements', m);
+
+  return buckets.map((b, i) => {
+    const slice = { ...state, tables: [...b.tables], sales: [...b.sales], expenses: [...b.expenses], movements: [...b.movements] };
+    return { date: new Date(bounds[i]), pnl: computePnL(slice, bounds[i], bounds[i + 1]) };
+  });
+}
+
+/** Calls `fn(hourStart, minutes)` for each clock hour that [fromMs, toMs) touches. */
+function forEachHourSlice(fromMs, toMs, fn) {
+  let a = fromMs;
+  while (a < toMs) {
+    const d = new Date(a);
+    const upto = Math.min(toMs, new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours() + 1).getTime());
+    fn(d, (upto - a) / 60000);
+    a = upto;
+  }
+}
+
+/**
+ * Average tables in use per weekday and hour over the last `days` days
+ * (pauses included: the table is taken).
+ * @returns {number[][]}
+ */
+function tableUsageHeatmap(state, days, now = new Date()) {
+  const end = now.getTime();
+  const start = addDays(startOfDay(now), -days + 1).getTime();
+  const minutes = Array.from({ length: 7 }, () => Array(24).fill(0));
+  for (const t of state.tables) {
+    const a = Math.max(start, new Date(t.startAt).getTime());
+    const b = Math.min(end, t.endAt ? new Date(t.endAt).getTime() : end);
+    forEachHourSlice(a, b, (d, m) => { minutes[(d.getDay() + 6) % 7][d.getHours()] += m; });
+  }
+  // How many of each weekday the window has, to turn minutes into an average
+  const weekdays = Array(7).fill(0);
+  for (let i = 0; i < days; i += 1) weekdays[(addDays(startOfDay(now), -i).getDay() + 6) % 7] += 1;
+  return minutes.map((row, d) => row.map(m => (weekdays[d] ? m / 60 / weekdays[d] : 0)));
+}
+
+/**
+ * How each table was used over [from, to): sessions closed in the range (the
+ * same rule as the P&L), hours taken (pauses included), occupancy against the
+ * opening hours, and revenue per hour of use.
+ * @param {{openMinutes:number, closeMinutes:number}} hours local opening time; close <= open means after midnight
+ */
+function tableUtilization(state, from, to, { openMinutes, closeMinutes }, now = new Date()) {
+  const fromISO = from.toISOString();
+  const toISO = to.toISOString();
+  const sessions = state.tables.filter(t => !t.active && t.endAt && withinRangeISO(t.endAt, fromISO, toISO));
+  const openPerDay = ((closeMinutes - openMinutes + 1440) % 1440) || 1440;
+  const days = Math.max(1, Math.ceil((Math.min(to.getTime(), now.getTime()) - from.getTime()) / 86400000));
+
+  const numbers = new Set([...state.tableDefs.filter(d => d.enabled).map(d => d.number), ...sessions.map(t => t.table)]);
+  const allHours = Array(24).fill(0);
+  const rows = [...numbers].sort((a, b) => a - b).map(number => {
+    const own = sessions.filter(t => t.table === number);
+    const hours = Array(24).fill(0);
+    for (const t of own) {
+      forEachHourSlice(new Date(t.startAt).getTime(), new Date(t.endAt).getTime(), (d, m) => {
+        hours[d.getHours()] += m;
+        allHours[d.getHours()] += m;
+      });
+    }
+    const minutes = sum(hours);
+    const revenue = sum(own.map(tableTimeRevenue));
+    const peak = minutes ? hours.indexOf(Math.max(...hours)) : null;
+    return {
+      table: number,
+      def: state.tableDefs.find(d => d.number === number) || null,
+      sessions: own.length,
+      hours: minutes / 60,
+      occupancyPct: minutes / (openPerDay * days) * 100,
+      avgMinutes: own.length ? minutes / own.length : 0,
+      avgPlayers: own.length ? sum(own.map(t => sessionPlayers(t).length)) / own.length : 0,
+      revenue: Number(revenue.toFixed(2)),
+      consumption: Number(sum(own.map(t => Number(t.consumptionTotal || 0))).toFixed(2)),
+      perHour: minutes ? revenue / (minutes / 60) : 0,
+      peakHour: peak,
+    };
+  });
+
+  // Opening hours in order, to rank the busiest and the emptiest ones
+  const openHours = Array.from({ length: Math.ceil(openPerDay / 60) }, (_, i) => (Math.floor(openMinutes / 60) + i) % 24);
+  const byUse = [...openHours].sort((a, b) => allHours[b] - allHours[a]);
+  return {
+    rows,
+    days,
+    openPerDay,
+    peakHours: byUse.filter(h => allHours[h] > 0).slice(0, 3),
+    deadHours: byUse.reverse().slice(0, 3),
+    hourMinutes: allHours,
+  };
+}
+
+function renderCharts(state) {
+  const days = Number($id('chartRange').value || 30);
+  const series = dailyPnL(state, days);
+  const labels = series.map(x => `${x.date.getDate()}/${x.date.getMonth() + 1}`);
+  $id('chartRevenue').innerHTML = stackedBarChartSvg(labels, [
+    { name: 'Mesas', className: 'chart-tables', values: series.map(x => x.pnl.tableRevenue) },
+    { name: 'Productos', className: 'chart-products', values: series.map(x => x.pnl.productRevenue - x.pnl.returns) },
+  ]);
+  $id('chartProfit').innerHTML = lineChartSvg(labels, series.map(x => x.pnl.net), 'Resultado');
+  const total = sum(series.map(x => x.pnl.revenue));
+  $id('chartRevenueTotal').textContent = `Total ${days} días: ${formatMoney(total)} · resultado ${formatMoney(sum(series.map(x => x.pnl.net)))}`;
+
+  const reportDays = Number($id('reportChartRange').value || 30);
+  const now = new Date();
+  const pnl = computePnL(state, addDays(startOfDay(now), -reportDays + 1).toISOString(), addDays(startOfDay(now), 1).toISOString());
+  $id('chartExpenses').innerHTML = pnl.expensesByType.length
+    ? hBarChartSvg(pnl.expensesByType.map(x => ({ label: x.type, value: x.amount })))
+    : '<div class="small">Sin gastos en el periodo.</div>';
+  $id('chartHeatmap').innerHTML = heatmapSvg(tableUsageHeatmap(state, reportDays));
+}
+
+/** Date range of the P&L form as ISO [from, to), plus the previous period of the same length. */
+function readPnlRange() {
+  const from = new Date(`${$id('pnlFrom').value}T00:00:00`);
+  const to = addDays(new Date(`${$id('pnlTo').value}T00:00:00`), 1);
+  // Whole months compare with the previous months; any other range with the same number of days before it
+  const months = (to.getFullYear() * 12 + to.getMonth()) - (from.getFullYear() * 12 + from.getMonth());
+  const prevFrom = from.getDate() === 1 && to.getDate() === 1 && months > 0
+    ? new Date(from.getFullYear(), from.getMonth() - months, 1)
+    : addDays(from, -Math.max(1, Math.round((to.getTime() - from.getTime()) / 86400000)));
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    prevFrom: prevFrom.toISOString(),
+    prevTo: from.toISOString(),
+    label: `${from.toLocaleDateString('es-GT')} – ${addDays(to, -1).toLocaleDateString('es-GT')}`,
+    prevLabel: `${prevFrom.toLocaleDateString('es-GT')} – ${addDays(from, -1).toLocaleDateString('es-GT')}`,
+  };
+}
+
+/**
+ * Lines of the P&L for the period and the previous one (shared by the screen,
+ * print and CSV).
+ * @returns {{label:string, cur:number, prev:number, strong?:boolean, memo?:boolean, count?:boolean}[]}
+ */
+function pnlRows(cur, prev) {
+  const types = [...new Set([...cur.expensesByType, ...prev.expensesByType].map(x => x.type))];
+  const typeAmount = (p, type) => p.expensesByType.find(x => x.type === type)?.amount || 0;
+  return [
+    { label: 'Ingresos por mesas (tiempo)', cur: cur.tableRevenue, prev: prev.tableRevenue },
+    { label: 'Ingresos por productos', cur: cur.productRevenue, prev: prev.productRevenue },
+    { label: '(−) Anulaciones y devoluciones', cur: -cur.returns, prev: -prev.returns },
+    { label: 'Ingresos netos', cur: cur.revenue, prev: prev.revenue, strong: true },
+    { label: '(−) Costo de ventas', cur: -cur.cogs, prev: -prev.cogs },
+    { label: '(−) Mermas y ajustes de inventario', cur: -cur.inventoryLoss, prev: -prev.inventoryLoss },
+    { label: `Margen bruto (${cur.grossMarginPct.toFixed(1)}%)`, cur: cur.grossMargin, prev: prev.grossMargin, strong: true },
+    ...types.map(type => ({ label: `(−) Gastos: ${type}`, cur: -typeAmount(cur, type), prev: -typeAmount(prev, type) })),
+    { label: 'Total gastos', cur: -cur.expenses, prev: -prev.expenses, strong: true },
+    { label: 'Resultado neto', cur: cur.net, prev: prev.net, strong: true },
+    { label: 'Descuentos otorgados (ya restados)', cur: cur.discounts, prev: prev.discounts, memo: true },
+    { label: 'Compras de mercadería (a inventario)', cur: cur.purchases, prev: prev.purchases, memo: true },
+    { label: 'Mesas cerradas', cur: cur.tablesCount, prev: prev.tablesCount, memo: true, count: true },
+    { label: 'Tickets de venta', cur: cur.salesCount, prev: prev.salesCount, memo: true, count: true },
+  ];
+}
+
+function pnlChange(r) {
+  const diff = r.cur - r.prev;
+  const pct = r.prev ? ` (${diff >= 0 ? '+' : ''}${(diff / Math.abs(r.prev) * 100).toFixed(0)}%)` : '';
+  return `${diff >= 0 ? '+' : ''}${r.count ? String(diff) : formatMoney(diff)}${pct}`;
+}
+
+function renderPnL(state) {
+  if (!$id('pnlFrom').value || !$id('pnlTo').value) {
+    const [from, to] = periodRange(/** @type {HTMLSelectElement} */ ($id('pnlPreset')).value || 'month');
+    $id('pnlFrom').value = dateInputValue(from);
+    $id('pnlTo').value = dateInputValue(addDays(to, -1));
+  }
+  const range = readPnlRange();
+  const rows = pnlRows(computePnL(state, range.from, range.to), computePnL(state, range.prevFrom, range.prevTo));
+
+  $id('pnlPrevLabel').textContent = `Anterior: ${range.prevLabel}`;
+  const tbody = $id('pnlTbody');
+  tbody.innerHTML = '';
+  for (const r of rows) {
+    const tr = document.createElement('tr');
+    if (r.memo) tr.className = 'small';
+    const fmt = (n) => (r.count ? String(n) : formatMoney(n));
+    tr.innerHTML = `
+      <td data-label="Concepto">${r.strong ? `<b>${escapeHtml(r.label)}</b>` : escapeHtml(r.label)}</td>
+      <td data-label="Periodo">${r.strong ? `<b>${fmt(r.cur)}</b>` : fmt(r.cur)}</td>
+      <td data-label="Anterior">${fmt(r.prev)}</td>
+      <td data-label="Variación">${pnlChange(r)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+/** Voids and returns: this month's totals and the latest ones. */
+function renderVoids(state) {
+  const now = new Date();
+  const m0 = startOfMonth(now).toISOString();
+  const m1 = new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString();
+  const month = saleReturnsIn(state, m0, m1);
+  const voids = month.filter(x => x.ret.kind === 'anulacion');
+  const returns = month.filter(x => x.ret.kind === 'devolucion');
+  $id('voidsSummary').textContent = `Este mes: ${voids.length} anulación(es) por ${formatMoney(sum(voids.map(x => x.ret.amount)))} · ${returns.length} devolución(es) por ${formatMoney(sum(returns.map(x => x.ret.amount)))}`;
+
+  const tbody = $id('voidsTbody');
+  tbody.innerHTML = '';
+  const all = saleReturnsIn(state);
+  for (const { ret } of all.slice(0, 60)) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Fecha">${formatDateTime(ret.at)}</td>
+      <td data-label="Tipo"><span class="badge ${ret.kind === 'anulacion' ? 'off' : 'low'}">${ret.kind === 'anulacion' ? 'Anulación' : 'Devolución'}</span></td>
+      <td data-label="Productos">${escapeHtml(returnSummary(state, ret) || '—')}${ret.restocked ? '' : ' <span class="small">(sin reponer stock)</span>'}</td>
+      <td data-label="Motivo">${escapeHtml(ret.reason)}</td>
+      <td data-label="Monto">${formatMoney(ret.amount)}</td>
+      <td data-label="Usuario">${escapeHtml(ret.user)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+  if (all.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="6" class="small">No hay anulaciones ni devoluciones.</td>`;
+    tbody.appendChild(tr);
+  }
+}
+
+/** Inventario → Rendimiento de productos, with the form's period, thresholds and sort. */
+function productPerformanceReport(state) {
+  const days = clampInt($id('perfDays').value, 1, 3650);
+  const deadDays = clampInt($id('perfDeadDays').value || 30, 1, 3650);
+  const targetMargin = Number($id('perfTargetMargin').value || 30);
+  const now = new Date();
+  const from = addDays(startOfDay(now), -days + 1).toISOString();
+  const to = addDays(startOfDay(now), 1).toISOString();
+  const rows = productPerformance(state, from, to, { deadDays, targetMargin, now });
+
+  const sortKey = $id('perfSort').value;
+  const sorters = {
+    profit: (a, b) => b.profit - a.profit,
+    units: (a, b) => b.units - a.units,
+    revenue: (a, b) => b.revenue - a.revenue,
+    margin: (a, b) => b.marginPct - a.marginPct,
+    stock: (a, b) => (a.daysOfStock ?? Infinity) - (b.daysOfStock ?? Infinity),
+  };
+  rows.sort((a, b) => sorters[sortKey](a, b) || a.product.name.localeCompare(b.product.name, 'es'));
+
+  const show = $id('perfShow').value;
+  const shown = rows.filter(r => show === 'dead' ? r.dead : show === 'lowMargin' ? r.lowMargin : true);
+  return { days, deadDays, targetMargin, rows, shown };
+}
+
+function renderProductPerformance(state) {
+  const { days, deadDays, targetMargin, rows, shown } = productPerformanceReport(state);
+
+  const best = [...rows].filter(r => r.units > 0).sort((a, b) => b.units - a.units).slice(0, 3);
+  const dead = rows.filter(r => r.dead);
+  const lowMargin = rows.filter(r => r.lowMargin);
+  $id('perfSummary').textContent = [
+    best.length ? `Más vendidos (${days} días): ${best.map(r => `${r.product.name} (${r.units})`).join(', ')}` : `Sin ventas en ${days} días`,
+    `${dead.length} sin ventas en ${deadDays} días (${formatMoney(sum(dead.map(r => r.product.stock * r.product.cost)))} inmovilizado)`,
+    `${lowMargin.length} bajo el margen objetivo de ${targetMargin}%`,
+  ].join(' · ');
+
+  const tbody = $id('perfTbody');
+  tbody.innerHTML = '';
+  shown.forEach((r, i) => {
+    const badges = [
+      r.dead ? '<span class="badge off">Sin movimiento</span>' : '',
+      r.lowMargin ? `<span class="badge low">Margen ${r.listMarginPct.toFixed(0)}%</span>` : '',
+    ].join(' ');
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="#">${i + 1}</td>
+      <td data-label="Producto">${escapeHtml(r.product.name)}</td>
+      <td data-label="Vendidas">${r.units}</td>
+      <td data-label="Ingresos">${formatMoney(r.revenue)}</td>
+      <td data-label="Ganancia">${formatMoney(r.profit)}</td>
+      <td data-label="Margen">${r.revenue ? `${r.marginPct.toFixed(1)}%` : '—'}</td>
+      <td data-label="Ritmo">${r.velocity ? `${r.velocity.toFixed(2)}/día` : '—'}</td>
+      <td data-label="Días de stock">${r.daysOfStock === null ? '—' : Math.floor(r.daysOfStock)}</td>
+      <td data-label="Última venta">${r.lastSaleAt ? formatDateTime(r.lastSaleAt) : 'Nunca'}</td>
+      <td data-label="Estado">${badges || '<span class="badge ok">OK</span>'}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  if (shown.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="10" class="small">No hay productos para mostrar.</td>`;
+    tbody.appendChild(tr);
+  }
+}
+
+/** Inventario → Plan de compras, with the form's demand window, coverage and safety days. */
+function reorderPlanFromForm(state) {
+  return reorderPlan(state, {
+    salesDays: clampInt($id('reorderSalesDays').value, 1, 365),
+    coverDays: clampInt($id('reorderCoverDays').value || 7, 1, 365),
+    safetyDays: clampInt($id('reorderSafetyDays').value || 0, 0, 365),
+  });
+}
+
+function renderReorderPlan(state) {
+  const groups = reorderPlanFromForm(state);
+  const lines = groups.flatMap(g => g.lines);
+  $id('reorderSummary').textContent = lines.length
+    ? `${lines.length} producto(s) por pedir a ${groups.length} proveedor(es) · costo estimado ${formatMoney(sum(groups.map(g => g.total)))}`
+    : 'No hace falta pedir nada con estos parámetros.';
+  /** @type {HTMLButtonElement} */ ($id('btnReorderPrint')).disabled = lines.length === 0;
+
+  const box = $id('reorderGroups');
+  box.innerHTML = groups.map((g, i) => `
+    <div class="reorder-group">
+      <div class="row reorder-head">
+        <strong>${escapeHtml(g.supplier ? g.supplier.name : 'Sin proveedor asignado')}</strong>
+        <span class="small">${formatMoney(g.total)}</span>
+      </div>
+      <table class="table">
+        <thead><tr><th>Producto</th><th>Stock</th><th>Venta/día</th><th>Días</th><th>Pedir</th><th>Costo</th></tr></thead>
+        <tbody>${g.lines.map(l => `
+          <tr>
+            <td data-label="Producto">${escapeHtml(l.product.name)}</td>
+            <td data-label="Stock">${l.product.stock}</td>
+            <td data-label="Venta/día">${l.velocity ? l.velocity.toFixed(2) : '—'}</td>
+            <td data-label="Días">${l.daysLeft === null ? '—' : Math.floor(l.daysLeft)}</td>
+            <td data-label="Pedir"><strong>${l.qty}</strong></td>
+            <td data-label="Costo">${formatMoney(l.total)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      <div class="row mt-8">
+        <button class="btn" type="button" data-act="reorder-send" data-index="${i}">Enviar${g.supplier?.phone ? ' por WhatsApp' : ''}</button>
+        <button class="btn" type="button" data-act="reorder-receive" data-index="${i}">Pasar a recepción</button>
+      </div>
+    </div>`).join('');
+}
+
+function utilizationFromForm(state) {
+  const preset = $id('utilPreset').value;
+  const [from, to] = periodRange(preset);
+  const toMinutes = (v, fallback) => {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(v || '');
+    return m ? Number(m[1]) * 60 + Number(m[2]) : fallback;
+  };
+  const hours = { openMinutes: toMinutes($id('utilOpen').value, 0), closeMinutes: toMinutes($id('utilClose').value, 0) };
+  return { preset, report: tableUtilization(state, from, to, hours) };
+}
+
+/** Reportes → Uso de mesas: one row per table plus the whole venue. */
+function renderUtilization(state) {
+  const { report } = utilizationFromForm(state);
+  const hourLabel = (h) => `${String(h).padStart(2, '0')}:00`;
+  const pct = (n) => `${n.toFixed(1)}%`;
+  const mins = (n) => `${Math.round(n)} min`;
+
+  const tbody = $id('utilTbody');
+  tbody.innerHTML = '';
+  for (const r of report.rows) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Mesa">${r.table}${r.def?.name ? ` · ${escapeHtml(r.def.name)}` : ''}</td>
+      <td data-label="Sesiones">${r.sessions}</td>
+      <td data-label="Horas">${r.hours.toFixed(1)}</td>
+      <td data-label="Ocupación">${pct(r.occupancyPct)}</td>
+      <td data-label="Prom. sesión">${r.sessions ? mins(r.avgMinutes) : '—'}</td>
+      <td data-label="Prom. jugadores">${r.sessions ? r.avgPlayers.toFixed(1) : '—'}</td>
+      <td data-label="Ingreso tiempo">${formatMoney(r.revenue)}</td>
+      <td data-label="Por hora">${r.hours ? formatMoney(r.perHour) : '—'}</td>
+      <td data-label="Hora pico">${r.peakHour === null ? '—' : hourLabel(r.peakHour)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+  if (report.rows.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="9" class="small">No hay mesas registradas.</td>`;
+    tbody.appendChild(tr);
+  }
+
+  const sessions = sum(report.rows.map(r => r.sessions));
+  const hours = sum(report.rows.map(r => r.hours));
+  const revenue = sum(report.rows.map(r => r.revenue));
+  const capacity = report.rows.length * report.openPerDay * report.days / 60;
+  $id('utilSummary').textContent = sessions
+    ? `${sessions} sesión(es) · ${hours.toFixed(1)} h de mesa · ocupación ${pct(capacity ? hours / capacity * 100 : 0)} · ${formatMoney(hours ? revenue / hours : 0)} por hora de mesa`
+    : 'Sin mesas cerradas en el periodo.';
+  $id('utilHours').textContent = sessions
+    ? `Horas pico: ${report.peakHours.map(hourLabel).join(', ')} · Horas con menos uso: ${report.deadHours.map(hourLabel).join(', ')}`
+    : '';
+}
+
+/**
+ * Everything that happened on one calendar day (yyyy-mm-dd), frozen as plain
+ * values so an archived closing doesn't change if records are edited later.
+ * @returns {ClosingData}
+ */
+function buildClosing(state, date, now = new Date()) {
+  const from = new Date(`${date}T00:00:00`);
+  const to = addDays(from, 1);
+  const fromISO = from.toISOString();
+  const toISO = to.toISOString();
+  const pnl = computePnL(state, fromISO, toISO);
+  const methods = incomeByMethod(
+    state.sales.filter(x => withinRangeISO(x.at, fromISO, toISO)),
+    state.tables.filter(x => x.endAt && withinRangeISO(x.endAt, fromISO, toISO)),
+    state.customerPayments.filter(x => withinRangeISO(x.at, fromISO, toISO)),
+    saleReturnsIn(state, fromISO, toISO).map(x => x.ret),
+  );
+
+  return {
+    date,
+    business: state.business?.name || 'M&S - Control Finanzas',
+    pnl: {
+      tableRevenue: pnl.tableRevenue,
+      productRevenue: pnl.productRevenue,
+      returns: pnl.returns,
+      revenue: pnl.revenue,
+      cogs: pnl.cogs,
+      inventoryLoss: pnl.inventoryLoss,
+      expenses: pnl.expenses,
+      net: pnl.net,
+    },
+    tables: tableUtilization(state, from, to, { openMinutes: 0, closeMinutes: 0 }, now).rows
+      .filter(r => r.sessions)
+      .map(r => ({ table: r.table, sessions: r.sessions, hours: Number(r.hours.toFixed(2)), time: r.revenue, consumption: r.consumption })),
+    products: productPerformance(state, fromISO, toISO, { now })
+      .filter(r => r.units)
+      .sort((a, b) => b.revenue - a.revenue)
+      .map(r => ({ name: r.product.name, units: r.units, revenue: r.revenue })),
+    expenses: state.expenses
+      .filter(e => withinRangeISO(e.at, fromISO, toISO))
+      .sort((a, b) => a.at.localeCompare(b.at))
+      .map(e => ({ type: e.type, description: e.description || '', amount: Number(e.amount || 0) })),
+    payments: [...methods].filter(([, amount]) => amount).map(([method, amount]) => ({ method: paymentMethodLabel(state, method), amount: Number(amount.toFixed(2)) })),
+    voids: saleReturnsIn(state, fromISO, toISO).reverse().map(({ ret }) => ({
+      at: ret.at, kind: ret.kind, detail: returnSummary(state, ret), reason: ret.reason, amount: ret.amount,
+    })),
+    // Only today's closing can know which tables are still running
+    openTables: state.tables
+      .filter(t => t.active && date === dateInputValue(now))
+      .sort((a, b) => a.table - b.table)
+      .map(t => ({ table: t.table, since: t.startAt, players: activePlayers(t).length, amount: computeTableBill(state, t, now.getTime()).total })),
+    lowStock: state.products
+      .filter(p => p.stock <= p.stockMin)
+      .sort((a, b) => (a.stock - a.stockMin) - (b.stock - b.stockMin))
+      .map(p => ({ name: p.name, stock: p.stock, stockMin: p.stockMin })),
+  };
+}
+
+function closingDateLabel(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString('es-GT', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/** Printable page of a closing (body for printHtml). */
+function closingHtml(data, { at, user } = {}) {
+  const money = (n) => escapeHtml(formatMoney(n));
+  const section = (title, head, rows, empty) => `
+    <h2>${title}</h2>
+    ${rows.length ? `<table><thead><tr>${head.map((h, i) => `<th class="${i ? 'num' : ''}">${h}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>` : `<div class="small">${empty}</div>`}`;
+  const tr = (cells, className = '') => `<tr class="${className}">${cells.map((c, i) => `<td class="${i ? 'num' : ''}">${c}</td>`).join('')}</tr>`;
+  const p = data.pnl;
+
+  return `
+    <h1>${escapeHtml(data.business)} — Cierre del día</h1>
+    <div class="small">${escapeHtml(closingDateLabel(data.date))}${at ? ` · generado ${escapeHtml(formatDateTime(at))}` : ''}${user ? ` · ${escapeHtml(user)}` : ''}</div>
+    ${section('Resumen', ['Concepto', 'Monto'], [
+      tr(['Ingresos por mesas (tiempo)', money(p.tableRevenue)]),
+      tr(['Ingresos por productos', money(p.productRevenue)]),
+      tr(['Anulaciones y devoluciones', money(-p.returns)]),
+      tr(['Ingresos netos', money(p.revenue)], 'strong'),
+      tr(['Costo de ventas', money(-p.cogs)]),
+      tr(['Mermas y ajustes', money(-p.inventoryLoss)]),
+      tr(['Gastos', money(-p.expenses)]),
+      tr(['Resultado del día', money(p.net)], 'strong'),
+    ], '')}
+    ${section('Cobros por método', ['Método', 'Monto'], data.payments.map(x => tr([escapeHtml(x.method), money(x.amount)])), 'Sin cobros.')}
+    ${section('Mesas', ['Mesa', 'Sesiones', 'Horas', 'Tiempo', 'Consumo'], data.tables.map(x => tr([`Mesa ${x.table}`, x.sessions, x.hours.toFixed(1), money(x.time), money(x.consumption)])), 'No se cerraron mesas.')}
+    ${section('Productos vendidos', ['Producto', 'Unidades', 'Total'], data.products.map(x => tr([escapeHtml(x.name), x.units, money(x.revenue)])), 'Sin ventas de productos.')}
+    ${section('Gastos', ['Tipo', 'Monto'], data.expenses.map(x => tr([escapeHtml(x.type + (x.description ? ` — ${x.description}` : '')), money(x.amount)])), 'Sin gastos.')}
+    ${section('Anulaciones y devoluciones', ['Detalle', 'Monto'], data.voids.map(x => tr([`${formatTime(x.at)} ${x.kind === 'anulacion' ? 'Anulación' : 'Devolución'}: ${escapeHtml(x.detail)} — ${escapeHtml(x.reason)}`, money(x.amount)])), 'Ninguna.')}
+    ${section('Mesas abiertas al cierre', ['Mesa', 'Desde', 'Jugadores', 'Cuenta actual'], data.openTables.map(x => tr([`Mesa ${x.table}`, escapeHtml(formatTime(x.since)), x.players, money(x.amount)])), 'Ninguna.')}
+    ${section('Stock bajo', ['Producto', 'Stock', 'Mínimo'], data.lowStock.map(x => tr([escapeHtml(x.name), x.stock, x.stockMin])), 'Sin alertas.')}
+  `;
+}
+
+/** Same closing as plain text, for WhatsApp or the share sheet. */
+function closingText(data) {
+  const p = data.pnl;
+  const lines = [
+    `*${data.business} — Cierre del día*`,
+    closingDateLabel(data.date),
+    '',
+    `Mesas (tiempo): ${formatMoney(p.tableRevenue)}`,
+    `Productos: ${formatMoney(p.productRevenue)}`,
+    ...(p.returns ? [`Anulaciones/devoluciones: -${formatMoney(p.returns)}`] : []),
+    `Ingresos netos: ${formatMoney(p.revenue)}`,
+    `Costo de ventas: -${formatMoney(p.cogs)}`,
+    ...(p.inventoryLoss ? [`Mermas y ajustes: -${formatMoney(p.inventoryLoss)}`] : []),
+    `Gastos: -${formatMoney(p.expenses)}`,
+    `*Resultado: ${formatMoney(p.net)}*`,
+  ];
+  const block = (title, rows) => { if (rows.length) lines.push('', `*${title}*`, ...rows); };
+  block('Cobros', data.payments.map(x => `${x.method}: ${formatMoney(x.amount)}`));
+  block('Mesas', data.tables.map(x => `Mesa ${x.table}: ${x.sessions} sesión(es), ${x.hours.toFixed(1)} h, ${formatMoney(x.time)} + consumo ${formatMoney(x.consumption)}`));
+  block('Productos', data.products.map(x => `${x.name} x${x.units}: ${formatMoney(x.revenue)}`));
+  block('Gastos', data.expenses.map(x => `${x.type}${x.description ? ` (${x.description})` : ''}: ${formatMoney(x.amount)}`));
+  block('Anulaciones y devoluciones', data.voids.map(x => `${formatTime(x.at)} ${x.detail} — ${x.reason}: ${formatMoney(x.amount)}`));
+  block('Mesas abiertas', data.openTables.map(x => `Mesa ${x.table} desde ${formatTime(x.since)}: ${formatMoney(x.amount)}`));
+  block('Stock bajo', data.lowStock.map(x => `${x.name}: ${x.stock} (mín. ${x.stockMin})`));
+  return lines.join('\n');
+}
+
+/** Reportes → Cierre del día: totals of the chosen day and the archive of saved closings. */
+function renderClosing(state) {
+  const input = /** @type {HTMLInputElement} */ ($id('closingDate'));
+  if (!input.value) input.value = dateInputValue(new Date());
+  const data = buildClosing(state, input.value);
+  const saved = state.closings.find(x => x.date === input.value);
+  $id('closingPreview').textContent = `Ingresos ${formatMoney(data.pnl.revenue)} · gastos ${formatMoney(data.pnl.expenses)} · resultado ${formatMoney(data.pnl.net)}`
+    + ` · ${data.tables.reduce((n, x) => n + x.sessions, 0)} mesa(s) cerrada(s) · ${data.openTables.length} abierta(s)`
+    + (saved ? ` · guardado ${formatDateTime(saved.at)}` : '');
+
+  const tbody = $id('closingsTbody');
+  tbody.innerHTML = '';
+  const closings = [...state.closings].sort((a, b) => b.date.localeCompare(a.date));
+  for (const c of closings.slice(0, 60)) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Día">${escapeHtml(new Date(`${c.date}T00:00:00`).toLocaleDateString('es-GT'))}</td>
+      <td data-label="Ingresos">${formatMoney(c.report.pnl.revenue)}</td>
+      <td data-label="Resultado">${formatMoney(c.report.pnl.net)}</td>
+      <td data-label="Guardado">${escapeHtml(formatDateTime(c.at))} · ${escapeHtml(c.user)}</td>
+      <td class="actions" data-label="">
+        <button class="btn" type="button" data-act="closing-print" data-id="${c.id}">Imprimir</button>
+        <button class="btn" type="button" data-act="closing-share" data-id="${c.id}">Compartir</button>
+        <button class="btn danger" type="button" data-act="closing-del" data-id="${c.id}">Eliminar</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+  if (closings.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="5" class="small">Aún no hay cierres guardados.</td>`;
+    tbody.appendChild(tr);
+  }
+}
+
+/** Live status tiles of every registered table (free / running / out of service). */
+function renderTablesGrid(state) {
+  const grid = $id('tablesGrid');
+  grid.innerHTML = '';
+  const defs = [...state.tableDefs].sort((a, b) => a.number - b.number);
+
+  for (const def of defs) {
+    const session = state.tables.find(t => t.active && t.table === def.number);
+    const tile = document.createElement('div');
+    const title = `Mesa ${def.number}${def.name ? ` · ${escapeHtml(def.name)}` : ''}`;
+    const type = TABLE_TYPES[def.type] || def.type;
+
+    if (session) {
+      const bill = computeTableBill(state, session);
+      const paused = isTablePaused(session);
+      tile.className = 'table-tile busy';
+      tile.innerHTML = `
+        <div class="snapshot-title">${title}</div>
+        <div class="small">${escapeHtml(type)} · ${activePlayers(session).length} jugador(es)</div>
+        <div><span class="badge ${paused ? 'low' : 'ok'}">${paused ? 'En pausa' : 'En juego'}</span></div>
+        <div class="small">${bill.minutes} min · ${formatMoney(bill.total)}</div>
+      `;
+    } else if (!def.enabled) {
+      tile.className = 'table-tile off';
+      tile.innerHTML = `
+        <div class="snapshot-title">${title}</div>
+        <div class="small">${escapeHtml(type)}</div>
+        <div><span class="badge off">Fuera de servicio</span></div>
+      `;
+    } else {
+      const plan = def.planId ? state.ratePlans.find(x => x.id === def.planId) : null;
+      tile.className = 'table-tile';
+      tile.innerHTML = `
+        <div class="snapshot-title">${title}</div>
+        <div class="small">${escapeHtml(type)}${plan ? ` · ${escapeHtml(plan.name)}` : ''}</div>
+        <div><span class="badge">Libre</span></div>
+        <button class="btn primary" type="button" data-act="grid-start" data-id="${def.id}">Iniciar</button>
+      `;
+    }
+    grid.appendChild(tile);
+  }
+
+  if (defs.length === 0) {
+    const div = document.createElement('div');
+    div.className = 'small';
+    div.textContent = 'Registra las mesas del local en Config para ver su estado aquí.';
+    grid.appendChild(div);
+  }
+}
+
+function renderTableDefs(state) {
+  const tbody = $id('tableDefsTbody');
+  tbody.innerHTML = '';
+  const defs = [...state.tableDefs].sort((a, b) => a.number - b.number);
+
+  for (const def of defs) {
+    const plan = def.planId ? state.ratePlans.find(x => x.id === def.planId) : null;
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Mesa">${def.number}${def.name ? ` · ${escapeHtml(def.name)}` : ''}</td>
+      <td data-label="Tipo">${escapeHtml(TABLE_TYPES[def.type] || def.type)}</td>
+      <td data-label="Plan">${plan ? escapeHtml(plan.name) : 'Manual'}</td>
+      <td data-label="Estado">${def.enabled ? '<span class="badge ok">Activa</span>' : '<span class="badge off">Fuera de servicio</span>'}</td>
+      <td class="actions" data-label="">
+        <button class="btn" data-act="def-edit" data-id="${def.id}">Editar</button>
+        <button class="btn danger" data-act="def-del" data-id="${def.id}">Eliminar</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  if (defs.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="5" class="small">No hay mesas registradas.</td>`;
+    tbody.appendChild(tr);
+  }
+
+  const select = /** @type {HTMLSelectElement} */ ($id('tableDefPlan'));
+  const selected = select.value;
+  select.innerHTML = '<option value="">Tarifa manual</option>';
+  for (const plan of [...state.ratePlans].sort((a, b) => a.name.localeCompare(b.name, 'es'))) {
+    const opt = document.createElement('option');
+    opt.value = String(plan.id);
+    opt.textContent = plan.name;
+    select.appendChild(opt);
+  }
+  if ([...select.options].some(o => o.value === selected)) select.value = selected;
+}
+
+function renderRatePlans(state) {
+  const tbody = $id('ratePlansTbody');
+  tbody.innerHTML = '';
+  const plans = [...state.ratePlans].sort((a, b) => a.name.localeCompare(b.name, 'es'));
+
+  for (const plan of plans) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Plan">${escapeHtml(plan.name)}</td>
+      <td data-label="Detalle">${escapeHtml(describeRatePlan(plan))}</td>
+      <td class="actions" data-label="">
+        <button class="btn" data-act="plan-edit" data-id="${plan.id}">Editar</button>
+        <button class="btn danger" data-act="plan-del" data-id="${plan.id}">Eliminar</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  if (plans.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="3" class="small">No hay planes; las mesas usan la tarifa manual.</td>`;
+    tbody.appendChild(tr);
+  }
+
+  const select = /** @type {HTMLSelectElement} */ ($id('tablePlan'));
+  const selected = select.value;
+  select.innerHTML = '<option value="">Tarifa manual</option>';
+  for (const plan of plans) {
+    const opt = document.createElement('option');
+    opt.value = String(plan.id);
+    opt.textContent = plan.name;
+    select.appendChild(opt);
+  }
+  if ([...select.options].some(o => o.value === selected)) select.value = selected;
+  /** @type {HTMLInputElement} */ ($id('tableRate')).disabled = !!select.value;
+}
+
+function renderPromotions(state) {
+  const tbody = $id('promotionsTbody');
+  tbody.innerHTML = '';
+  const now = new Date();
+  const promos = [...state.promotions].sort((a, b) => a.name.localeCompare(b.name, 'es'));
+
+  for (const promo of promos) {
+    const status = !promo.enabled
+      ? '<span class="badge off">Desactivada</span>'
+      : promoActiveAt(promo, now) ? '<span class="badge ok">Vigente ahora</span>' : '<span class="badge">Fuera de horario</span>';
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Promoción">${escapeHtml(promo.name)}<div class="small">${escapeHtml(PROMO_KINDS[promo.kind])}</div></td>
+      <td data-label="Detalle">${escapeHtml(describePromotion(state, promo))}</td>
+      <td data-label="Estado">${status}</td>
+      <td class="actions" data-label="">
+        <button class="btn" data-act="promo-edit" data-id="${promo.id}">Editar</button>
+        <button class="btn danger" data-act="promo-del" data-id="${promo.id}">Eliminar</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  if (promos.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="4" class="small">No hay promociones.</td>`;
+    tbody.appendChild(tr);
+  }
+
+  const select = /** @type {HTMLSelectElement} */ ($id('promoProduct'));
+  const selected = select.value;
+  select.innerHTML = '<option value="">Todos los productos</option>';
+  for (const p of [...state.products].sort((a, b) => a.name.localeCompare(b.name, 'es'))) {
+    const opt = document.createElement('option');
+    opt.value = String(p.id);
+    opt.textContent = p.name;
+    select.appendChild(opt);
+  }
+  if ([...select.options].some(o => o.value === selected)) select.value = selected;
+}
+
+/** What each promotion cost (discounts given), this month and overall. */
+function renderPromoReport(state) {
+  const now = new Date();
+  const m0 = startOfMonth(now).toISOString();
+  const m1 = new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString();
+
+  /** @type {Map<string, {name:string, uses:number, month:number, all:number}>} */
+  const byPromo = new Map();
+  const add = (rec, at) => {
+    if (!rec.discount || rec.voidedAt) return;
+    const key = String(rec.promotionId || rec.promotionName);
+    const row = byPromo.get(key) || { name: rec.promotionName || 'Promoción', uses: 0, month: 0, all: 0 };
+    row.uses += 1;
+    row.all += rec.discount;
+    if (withinRangeISO(at, m0, m1)) row.month += rec.discount;
+    byPromo.set(key, row);
+  };
+  state.sales.filter(s => !s.tableSessionId).forEach(s => add(s, s.at));
+  state.tables.filter(t => !t.active && t.endAt).forEach(t => add(t, t.endAt));
+
+  const tbody = $id('promoReportTbody');
+  tbody.innerHTML = '';
+  const rows = [...byPromo.values()].sort((a, b) => b.all - a.all);
+  for (const r of rows) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Promoción">${escapeHtml(r.name)}</td>
+      <td data-label="Usos">${r.uses}</td>
+      <td data-label="Mes">${formatMoney(r.month)}</td>
+      <td data-label="Total">${formatMoney(r.all)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+  if (rows.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="4" class="small">Aún no se han aplicado promociones.</td>`;
+    tbody.appendChild(tr);
+  }
+}
+
+function renderCart(state, cart) {
+  const tbody = $id('cartTbody');
+  tbody.innerHTML = '';
+
+  let total = 0;
+  for (const item of cart) {
+    const p = state.products.find(x => x.id === item.productId);
+    const subtotal = p ? item.qty * p.price : 0;
+    total += subtotal;
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Producto">${escapeHtml(productName(state, item.productId))}</td>
+      <td data-label="Cant.">${item.qty}</td>
+      <td data-label="Subtotal">${formatMoney(subtotal)}</td>
+      <td class="actions" data-label=""><button class="btn danger" type="button" data-act="cart-del" data-id="${item.productId}">Quitar</button></td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  if (cart.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="4" class="small">El ticket está vacío.</td>`;
+    tbody.appendChild(tr);
+  }
+
+  $id('cartTotal').textContent = formatMoney(total);
+
+  const target = /** @type {HTMLSelectElement} */ ($id('saleTarget'));
+  const selected = target.value;
+  target.innerHTML = '<option value="">Cobrar ahora</option>';
+  for (const t of state.tables.filter(x => x.active).sort((a, b) => a.table - b.table)) {
+    const opt = document.createElement('option');
+    opt.value = String(t.id);
+    opt.textContent = `Cargar a Mesa ${t.table}`;
+    target.appendChild(opt);
+  }
+  if ([...target.options].some(o => o.value === selected)) target.value = selected;
+  /** @type {HTMLButtonElement} */ ($id('btnCartConfirm')).disabled = cart.length === 0;
 }
 
-function toCSV(rows) {
-  const esc = (v) => {
-    const s = String(v ?? '');
-    if (/[\n\r,\"]/g.test(s)) return '"' + s.replaceAll('"', '""') + '"';
-    return s;
+/**
+ * Goods receipt being prepared, suppliers and the latest purchases.
+ * @param {{productId:number, qty:number, unitCost:number}[]} receipt
+ */
+function renderReceiving(state, receipt) {
+  const tbody = $id('receiveTbody');
+  tbody.innerHTML = '';
+
+  for (const item of receipt) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Producto">${escapeHtml(productName(state, item.productId))}</td>
+      <td data-label="Cant.">${item.qty}</td>
+      <td data-label="Costo u.">${formatMoney(item.unitCost)}</td>
+      <td data-label="Subtotal">${formatMoney(item.qty * item.unitCost)}</td>
+      <td class="actions" data-label=""><button class="btn danger" type="button" data-act="receive-del" data-id="${item.productId}">Quitar</button></td>
+    `;
+    tbody.appendChild(tr);
+  }
+  if (receipt.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="5" class="small">Agrega los productos recibidos.</td>`;
+    tbody.appendChild(tr);
+  }
+  $id('receiveTotal').textContent = formatMoney(sum(receipt.map(x => x.qty * x.unitCost)));
+  /** @type {HTMLButtonElement} */ ($id('btnReceiveConfirm')).disabled = receipt.length === 0;
+
+  const product = /** @type {HTMLSelectElement} */ ($id('receiveProduct'));
+  const selectedProduct = product.value;
+  product.innerHTML = '<option value="">Seleccione un producto</option>';
+  for (const p of [...state.products].sort((a, b) => a.name.localeCompare(b.name, 'es'))) {
+    const opt = document.createElement('option');
+    opt.value = String(p.id);
+    opt.textContent = `${p.name} (stock ${p.stock}, costo ${formatMoney(p.cost)})`;
+    product.appendChild(opt);
+  }
+  if ([...product.options].some(o => o.value === selectedProduct)) product.value = selectedProduct;
+
+  const supplier = /** @type {HTMLSelectElement} */ ($id('receiveSupplier'));
+  const selectedSupplier = supplier.value;
+  supplier.innerHTML = '<option value="">Seleccione un proveedor</option>';
+  for (const x of [...state.suppliers].sort((a, b) => a.name.localeCompare(b.name, 'es'))) {
+    const opt = document.createElement('option');
+    opt.value = String(x.id);
+    opt.textContent = x.name;
+    supplier.appendChild(opt);
+  }
+  if ([...supplier.options].some(o => o.value === selectedSupplier)) supplier.value = selectedSupplier;
+
+  const fromDrawer = /** @type {HTMLInputElement} */ ($id('receiveFromDrawer'));
+  fromDrawer.disabled = !openShift(state) || !/** @type {HTMLInputElement} */ ($id('receiveExpense')).checked;
+
+  const history = $id('purchasesTbody');
+  history.innerHTML = '';
+  const purchases = [...state.purchases].sort((a, b) => b.at.localeCompare(a.at));
+  for (const x of purchases.slice(0, 40)) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Fecha">${formatDateTime(x.at)}</td>
+      <td data-label="Proveedor">${escapeHtml(supplierName(state, x.supplierId))}${x.invoice ? `<div class="small">Factura ${escapeHtml(x.invoice)}</div>` : ''}</td>
+      <td data-label="Productos">${escapeHtml(x.lines.map(l => `${productName(state, l.productId)} x${l.qty} @ ${formatMoney(l.unitCost)}`).join(', '))}</td>
+      <td data-label="Total">${formatMoney(x.total)}</td>
+    `;
+    history.appendChild(tr);
+  }
+  if (purchases.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="4" class="small">Aún no hay compras registradas.</td>`;
+    history.appendChild(tr);
+  }
+}
+
+function renderKardex(state) {
+  const select = /** @type {HTMLSelectElement} */ ($id('kardexProduct'));
+  const selected = select.value;
+  const products = [...state.products].sort((a, b) => a.name.localeCompare(b.name, 'es'));
+  select.innerHTML = '<option value="">Seleccione un producto</option>';
+  for (const p of products) {
+    const opt = document.createElement('option');
+    opt.value = String(p.id);
+    opt.textContent = p.name;
+    select.appendChild(opt);
+  }
+  if ([...select.options].some(o => o.value === selected)) select.value = selected;
+
+  const movementProduct = /** @type {HTMLSelectElement} */ ($id('movementProduct'));
+  const selectedMovement = movementProduct.value;
+  movementProduct.innerHTML = select.innerHTML;
+  if ([...movementProduct.options].some(o => o.value === selectedMovement)) movementProduct.value = selectedMovement;
+
+  const tbody = $id('kardexTbody');
+  tbody.innerHTML = '';
+  const productId = Number(select.value || 0);
+  if (!productId) {
+    tbody.innerHTML = '<tr><td colspan="7" class="small">Elige un producto para ver sus movimientos.</td></tr>';
+    return;
+  }
+
+  const { opening, rows } = productKardex(state, productId);
+  const tr0 = document.createElement('tr');
+  tr0.innerHTML = `<td data-label="Fecha">—</td><td data-label="Movimiento" colspan="4">Saldo inicial</td><td data-label="Saldo">${opening}</td><td></td>`;
+  tbody.appendChild(tr0);
+
+  for (const m of rows.slice(-200)) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Fecha">${formatDateTime(m.at)}</td>
+      <td data-label="Movimiento">${escapeHtml(MOVEMENT_TYPES[m.type] || m.type)}${m.reason ? `<div class="small">${escapeHtml(m.reason)}</div>` : ''}</td>
+      <td data-label="Entrada">${m.qty > 0 ? m.qty : ''}</td>
+      <td data-label="Salida">${m.qty < 0 ? -m.qty : ''}</td>
+      <td data-label="Costo u.">${formatMoney(m.unitCost)}</td>
+      <td data-label="Saldo">${m.running}</td>
+      <td data-label="Usuario">${escapeHtml(m.user || '')}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+/** Physical count sheet (keeps what was typed across re-renders) and count history. */
+function renderStockCount(state) {
+  const tbody = $id('countTbody');
+  /** @type {Map<string,string>} */
+  const typed = new Map();
+  tbody.querySelectorAll('input[data-id]').forEach(x => {
+    const input = /** @type {HTMLInputElement} */ (x);
+    if (input.value !== '') typed.set(input.getAttribute('data-id'), input.value);
+  });
+  tbody.innerHTML = '';
+
+  for (const p of [...state.products].sort((a, b) => a.name.localeCompare(b.name, 'es'))) {
+    const value = typed.get(String(p.id)) ?? '';
+    const diff = value === '' ? null : clampInt(value, 0, 1_000_000) - p.stock;
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Producto">${escapeHtml(p.name)}</td>
+      <td data-label="Sistema">${p.stock}</td>
+      <td data-label="Contado"><input type="number" min="0" step="1" data-id="${p.id}" value="${escapeHtml(value)}" aria-label="Contado ${escapeHtml(p.name)}" /></td>
+      <td data-label="Diferencia" data-diff="${p.id}">${diff == null ? '' : (diff > 0 ? `+${diff}` : String(diff))}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  const history = $id('countsTbody');
+  history.innerHTML = '';
+  const counts = [...state.stockCounts].sort((a, b) => b.at.localeCompare(a.at));
+  for (const c of counts.slice(0, 30)) {
+    const missing = c.items.filter(i => i.diff < 0);
+    const extra = c.items.filter(i => i.diff > 0);
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Fecha">${formatDateTime(c.at)}</td>
+      <td data-label="Usuario">${escapeHtml(c.user)}</td>
+      <td data-label="Motivo">${escapeHtml(c.reason)}</td>
+      <td data-label="Productos">${c.items.length}</td>
+      <td data-label="Faltante">${sum(missing.map(i => -i.diff))} u. · ${formatMoney(sum(missing.map(i => -i.diff * i.unitCost)))}</td>
+      <td data-label="Sobrante">${sum(extra.map(i => i.diff))} u. · ${formatMoney(sum(extra.map(i => i.diff * i.unitCost)))}</td>
+    `;
+    history.appendChild(tr);
+  }
+  if (counts.length === 0) {
+    history.innerHTML = '<tr><td colspan="6" class="small">Aún no hay conteos físicos.</td></tr>';
+  }
+
+  // Shrinkage of the month: waste/breakage plus shortages found in counts
+  const now = new Date();
+  const m0 = startOfMonth(now).toISOString();
+  const m1 = new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString();
+  const lost = state.movements.filter(m => withinRangeISO(m.at, m0, m1) && m.qty < 0 && (m.type === 'merma' || m.type === 'conteo'));
+  $id('shrinkageSummary').textContent = lost.length
+    ? `Merma del mes: ${sum(lost.map(m => -m.qty))} unidades, ${formatMoney(sum(lost.map(m => -m.qty * m.unitCost)))} al costo.`
+    : 'Sin mermas registradas este mes.';
+}
+
+/** Short text for an audit value (objects and long strings are cut). */
+function auditValue(v) {
+  if (v === undefined) return '—';
+  const text = typeof v === 'string' ? v : JSON.stringify(v);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/** "price: 5 → 6; stock: 10 → 8" or the counts of a bulk operation. */
+function describeAuditEntry(x) {
+  if (x.action === 'bulk') {
+    const parts = Object.entries(x.counts || {}).map(([c, n]) => `${COLLECTION_LABELS[c] || c}: +${n.added} ~${n.updated} −${n.deleted}`);
+    return parts.length ? parts.join('; ') : 'Sin cambios en los registros';
+  }
+  if (x.action === 'create') return 'Creado';
+  if (x.action === 'delete') return 'Eliminado';
+  return Object.keys(x.after || {}).map(k => `${k}: ${auditValue(x.before?.[k])} → ${auditValue(x.after[k])}`).join('; ');
+}
+
+/**
+ * Audit entries matching the filters, newest first.
+ * @param {{coll:string, action:string, from:string, to:string, search:string}} f
+ * @returns {AuditEntry[]}
+ */
+function filterAudit(state, f) {
+  const from = f.from ? new Date(`${f.from}T00:00:00`).toISOString() : '';
+  const to = f.to ? addDays(new Date(`${f.to}T00:00:00`), 1).toISOString() : '';
+  const q = f.search.trim().toLowerCase();
+  return state.audit
+    .filter(x => !f.coll || (f.coll === 'bulk' ? x.action === 'bulk' : x.coll === f.coll))
+    .filter(x => !f.action || x.action === f.action)
+    .filter(x => (!from || x.at >= from) && (!to || x.at < to))
+    .filter(x => !q || `${x.label} ${x.user} ${x.device} ${describeAuditEntry(x)}`.toLowerCase().includes(q))
+    .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+function readAuditFilter() {
+  return {
+    coll: $id('auditColl').value,
+    action: $id('auditAction').value,
+    from: $id('auditFrom').value,
+    to: $id('auditTo').value,
+    search: $id('auditSearch').value,
+  };
+}
+
+function renderAudit(state) {
+  const select = /** @type {HTMLSelectElement} */ ($id('auditColl'));
+  if (!select.options.length) {
+    select.innerHTML = '<option value="">Todos</option>'
+      + [...AUDIT_COLLECTIONS.map(c => [c, COLLECTION_LABELS[c]]), ['business', 'Configuración del negocio'], ['bulk', 'Operaciones masivas']]
+        .map(([v, label]) => `<option value="${v}">${escapeHtml(label)}</option>`).join('');
+  }
+
+  const rows = filterAudit(state, readAuditFilter());
+  const tbody = $id('auditTbody');
+  tbody.innerHTML = '';
+  for (const x of rows.slice(0, 200)) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Fecha">${formatDateTime(x.at)}</td>
+      <td data-label="Usuario">${escapeHtml(x.user)}<div class="small">${escapeHtml(String(x.device).slice(0, 8))}</div></td>
+      <td data-label="Acción">${escapeHtml(AUDIT_ACTIONS[x.action] || x.action)}${AUDIT_RECORD_SOURCES[x.source] ? `<div class="small">${AUDIT_RECORD_SOURCES[x.source]}</div>` : ''}</td>
+      <td data-label="Registro">${escapeHtml(x.label)}${x.coll ? `<div class="small">${escapeHtml(COLLECTION_LABELS[x.coll] || 'Configuración')}</div>` : ''}</td>
+      <td data-label="Detalle" class="small">${escapeHtml(describeAuditEntry(x))}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+  if (rows.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="5" class="small">Sin registros para este filtro.</td>`;
+    tbody.appendChild(tr);
+  }
+  $id('auditCount').textContent = rows.length > 200 ? `Mostrando 200 de ${rows.length}.` : `${rows.length} registro(s).`;
+}
+
+function renderUndoButtons() {
+  const undo = undoHistory.undo.at(-1);
+  const redo = undoHistory.redo.at(-1);
+  const btnUndo = /** @type {HTMLButtonElement} */ ($id('btnUndo'));
+  const btnRedo = /** @type {HTMLButtonElement} */ ($id('btnRedo'));
+  btnUndo.disabled = !undo;
+  btnUndo.title = undo ? `Deshacer: ${undo.label} (Ctrl+Z)` : 'Nada para deshacer';
+  btnRedo.disabled = !redo;
+  btnRedo.title = redo ? `Rehacer: ${redo.label} (Ctrl+Y)` : 'Nada para rehacer';
+}
+
+function renderExpenses(state) {
+  const tbody = $id('expensesTbody');
+  tbody.innerHTML = '';
+  const expenses = [...state.expenses].sort((a, b) => b.at.localeCompare(a.at));
+
+  for (const e of expenses.slice(0, 120)) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Fecha">${formatDateTime(e.at)}</td>
+      <td data-label="Tipo">${escapeHtml(e.type)}</td>
+      <td data-label="Monto">${formatMoney(e.amount)}</td>
+      <td data-label="Descripción">${escapeHtml(e.description || '')}</td>
+      <td class="actions" data-label=""><button class="btn danger" data-act="exp-del" data-id="${e.id}">Eliminar</button></td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+/** Income by payment method: today on the dashboard, today/week/month in reports. */
+function renderPaymentBreakdown(state) {
+  const now = new Date();
+  const ranges = [
+    [startOfDay(now), addDays(startOfDay(now), 1)],
+    [startOfWeek(now), addDays(startOfWeek(now), 7)],
+    [startOfMonth(now), new Date(now.getFullYear(), now.getMonth() + 1, 1)],
+  ].map(([a, b]) => {
+    const from = a.toISOString();
+    const to = b.toISOString();
+    return incomeByMethod(
+      state.sales.filter(x => withinRangeISO(x.at, from, to)),
+      state.tables.filter(x => x.endAt && withinRangeISO(x.endAt, from, to)),
+      state.customerPayments.filter(x => withinRangeISO(x.at, from, to)),
+      saleReturnsIn(state, from, to).map(x => x.ret),
+    );
+  });
+
+  // Configured methods first, then any method only found in older records
+  const ids = state.business.paymentMethods.map(m => m.id);
+  for (const r of ranges) for (const id of r.keys()) if (!ids.includes(id)) ids.push(id);
+
+  const ul = $id('paymentsTodayList');
+  ul.innerHTML = '';
+  const today = ids.filter(id => ranges[0].get(id));
+  for (const id of today) {
+    const li = document.createElement('li');
+    li.className = 'small';
+    li.textContent = `${paymentMethodLabel(state, id)} — ${formatMoney(ranges[0].get(id))}`;
+    ul.appendChild(li);
+  }
+  if (today.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'small';
+    li.textContent = 'Sin cobros hoy.';
+    ul.appendChild(li);
+  }
+
+  const tbody = $id('paymentsReportTbody');
+  tbody.innerHTML = '';
+  for (const id of [...ids, '']) {
+    const cells = ranges.map(r => (id ? r.get(id) || 0 : sum([...r.values()])));
+    if (id && !cells.some(Boolean) && !state.business.paymentMethods.some(m => m.id === id)) continue;
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Método">${id ? escapeHtml(paymentMethodLabel(state, id)) : '<b>Total</b>'}</td>
+      <td data-label="Hoy">${formatMoney(cells[0])}</td>
+      <td data-label="Semana">${formatMoney(cells[1])}</td>
+      <td data-label="Mes">${formatMoney(cells[2])}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+function renderPaymentMethods(state) {
+  const ul = $id('paymentMethodsList');
+  ul.innerHTML = '';
+  for (const m of state.business.paymentMethods) {
+    const li = document.createElement('li');
+    li.className = 'snapshot-item';
+    li.innerHTML = `
+      <div class="snapshot-left"><div class="snapshot-title">${escapeHtml(m.label)}</div></div>
+      <div class="snapshot-actions">${m.id === CASH_METHOD
+        ? '<span class="badge">Caja</span>'
+        : `<button class="btn danger" type="button" data-act="method-del" data-id="${escapeHtml(m.id)}">Quitar</button>`}</div>
+    `;
+    ul.appendChild(li);
+  }
+}
+
+/**
+ * Customer balances with aging, the account payment form and the statement of
+ * the selected customer.
+ * @param {number|null} ledgerCustomerId
+ */
+function renderCustomers(state, ledgerCustomerId) {
+  const tbody = $id('customersTbody');
+  tbody.innerHTML = '';
+  const customers = [...state.customers].sort((a, b) => a.name.localeCompare(b.name, 'es'));
+  const totals = AGING_BUCKETS.map(() => 0);
+  let totalBalance = 0;
+
+  for (const c of customers) {
+    const aging = customerAging(state, c.id);
+    aging.buckets.forEach((v, i) => { totals[i] += v; });
+    totalBalance += aging.balance;
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Cliente">${escapeHtml(c.name)}${c.phone ? `<div class="small">${escapeHtml(c.phone)}</div>` : ''}</td>
+      <td data-label="Saldo">${aging.balance > 0 ? `<b>${formatMoney(aging.balance)}</b>` : formatMoney(aging.balance)}</td>
+      ${aging.buckets.map((v, i) => `<td data-label="${AGING_BUCKETS[i].label}">${v ? formatMoney(v) : '—'}</td>`).join('')}
+      <td class="actions" data-label="">
+        <button class="btn" data-act="cust-ledger" data-id="${c.id}">Estado</button>
+        <button class="btn" data-act="cust-pay" data-id="${c.id}">Abonar</button>
+        <button class="btn" data-act="cust-edit" data-id="${c.id}">Editar</button>
+        <button class="btn danger" data-act="cust-del" data-id="${c.id}">Eliminar</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  const tr = document.createElement('tr');
+  tr.innerHTML = customers.length
+    ? `<td data-label="Cliente"><b>Total</b></td><td data-label="Saldo"><b>${formatMoney(totalBalance)}</b></td>${totals.map((v, i) => `<td data-label="${AGING_BUCKETS[i].label}">${formatMoney(v)}</td>`).join('')}<td></td>`
+    : `<td colspan="7" class="small">No hay clientes registrados.</td>`;
+  tbody.appendChild(tr);
+
+  const select = /** @type {HTMLSelectElement} */ ($id('customerPaymentCustomer'));
+  const selected = select.value;
+  select.innerHTML = '<option value="">Seleccione un cliente</option>';
+  for (const c of customers) {
+    const opt = document.createElement('option');
+    opt.value = String(c.id);
+    opt.textContent = `${c.name} — saldo ${formatMoney(customerAging(state, c.id).balance)}`;
+    select.appendChild(opt);
+  }
+  if ([...select.options].some(o => o.value === selected)) select.value = selected;
+
+  const methodSelect = /** @type {HTMLSelectElement} */ ($id('customerPaymentMethod'));
+  const method = methodSelect.value;
+  methodSelect.innerHTML = state.business.paymentMethods.map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.label)}</option>`).join('');
+  if ([...methodSelect.options].some(o => o.value === method)) methodSelect.value = method;
+
+  const ledgerBody = $id('customerLedgerTbody');
+  ledgerBody.innerHTML = '';
+  const customer = ledgerCustomerId ? state.customers.find(c => c.id === ledgerCustomerId) : null;
+  $id('customerLedgerTitle').textContent = customer ? `Estado de cuenta — ${customer.name}` : 'Estado de cuenta';
+  if (!customer) {
+    ledgerBody.innerHTML = '<tr><td colspan="5" class="small">Elige “Estado” en un cliente para ver sus cargos y abonos.</td></tr>';
+    return;
+  }
+
+  let balance = 0;
+  const ledger = customerLedger(state, customer.id);
+  for (const e of ledger) {
+    balance += e.kind === 'cargo' ? e.amount : -e.amount;
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td data-label="Fecha">${formatDateTime(e.at)}</td>
+      <td data-label="Detalle">${escapeHtml(e.detail)}</td>
+      <td data-label="Cargo">${e.kind === 'cargo' ? formatMoney(e.amount) : ''}</td>
+      <td data-label="Abono">${e.kind === 'abono' ? formatMoney(e.amount) : ''}</td>
+      <td data-label="Saldo">${formatMoney(balance)}</td>
+    `;
+    ledgerBody.appendChild(row);
+  }
+  if (!ledger.length) ledgerBody.innerHTML = '<tr><td colspan="5" class="small">Sin movimientos.</td></tr>';
+}
+
+function renderCash(state) {
+  const shift = openShift(state);
+  $id('shiftOpenForm').hidden = !!shift;
+  $id('shiftCloseForm').hidden = !shift;
+
+  const status = $id('shiftStatus');
+  if (shift) {
+    const c = shiftCashSummary(state, shift);
+    status.innerHTML = `
+      <b>Caja abierta</b> por ${escapeHtml(shift.cashier)} desde ${formatDateTime(shift.openedAt)}<br />
+      Fondo inicial: ${formatMoney(shift.openingFloat)}<br />
+      Ventas en efectivo: ${formatMoney(c.salesCash)} (${c.sales.length}) · Mesas en efectivo: ${formatMoney(c.tablesCash)} (${c.tables.length})${c.collections.length ? ` · Abonos en efectivo: ${formatMoney(c.collectionsCash)} (${c.collections.length})` : ''}${c.refunds.length ? ` · Devoluciones en efectivo: −${formatMoney(c.refundsCash)} (${c.refunds.length})` : ''} · Gastos de caja: −${formatMoney(c.expensesTotal)} (${c.expenses.length})<br />
+      <b>Efectivo esperado: ${formatMoney(c.expected)}</b>
+      ${c.nonCash.size ? `<br />Otros medios: ${[...c.nonCash].map(([m, v]) => `${escapeHtml(paymentMethodLabel(state, m))} ${formatMoney(v)}`).join(' · ')}` : ''}
+    `;
+  } else {
+    status.textContent = 'Caja cerrada. Abre la caja para registrar las ventas y gastos del turno.';
+  }
+
+  const tbody = $id('shiftsTbody');
+  tbody.innerHTML = '';
+  const closed = state.shifts.filter(x => x.closedAt).sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+
+  for (const x of closed.slice(0, 60)) {
+    const diff = Number(x.difference || 0);
+    const badge = Math.abs(diff) < 0.005 ? 'ok' : diff < 0 ? 'off' : 'low';
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Apertura">${formatDateTime(x.openedAt)}</td>
+      <td data-label="Cierre">${formatDateTime(x.closedAt)}</td>
+      <td data-label="Cajero">${escapeHtml(x.cashier)}</td>
+      <td data-label="Fondo">${formatMoney(x.openingFloat)}</td>
+      <td data-label="Esperado">${formatMoney(x.expected)}</td>
+      <td data-label="Contado">${formatMoney(x.counted?.total)}</td>
+      <td data-label="Diferencia"><span class="badge ${badge}">${diff > 0 ? '+' : ''}${formatMoney(diff)}</span></td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  if (closed.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="7" class="small">Aún no hay turnos cerrados.</td>`;
+    tbody.appendChild(tr);
+  }
+}
+
+function renderTables(state) {
+  const tbody = $id('tablesTbody');
+  tbody.innerHTML = '';
+
+  const active = state.tables.filter(t => t.active).sort((a, b) => a.table - b.table);
+
+  for (const t of active) {
+    const bill = computeTableBill(state, t);
+    const paused = isTablePaused(t);
+    const plan = sessionPlan(t);
+    const rateLabel = `${formatMoney(planRateAt(plan, new Date()))}/h/${plan.perTable ? 'mesa' : 'jugador'}`;
+
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Mesa">Mesa ${t.table}${paused ? ' <span class="badge low">En pausa</span>' : ''}</td>
+      <td data-label="Jugadores">${activePlayers(t).length}</td>
+      <td data-label="Tarifa">${t.plan ? `${escapeHtml(plan.name)} · ` : ''}${rateLabel}</td>
+      <td data-label="Tiempo">${bill.minutes} min</td>
+      <td data-label="Consumo">${formatMoney(bill.consumption)}</td>
+      <td data-label="Total">${formatMoney(bill.total)}</td>
+      <td class="actions" data-label="">
+        <button class="btn warn" data-act="table-stop" data-id="${t.id}">Finalizar</button>
+        <button class="btn" data-act="table-plus" data-id="${t.id}">+ Jugador</button>
+        <button class="btn" data-act="table-minus" data-id="${t.id}">− Jugador</button>
+        <button class="btn" data-act="${paused ? 'table-resume' : 'table-pause'}" data-id="${t.id}">${paused ? 'Reanudar' : 'Pausar'}</button>
+        <button class="btn" data-act="table-move" data-id="${t.id}">Mover</button>
+        <button class="btn" data-act="table-charge" data-id="${t.id}">+ Consumo</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  if (active.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="7" class="small">No hay mesas activas.</td>`;
+    tbody.appendChild(tr);
+  }
+
+  const done = $id('tablesDoneTbody');
+  done.innerHTML = '';
+  const closed = state.tables.filter(t => !t.active && t.endAt).sort((a, b) => b.endAt.localeCompare(a.endAt)).slice(0, 10);
+  for (const t of closed) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Mesa">Mesa ${t.table}</td>
+      <td data-label="Cerrada">${formatDateTime(t.endAt)}</td>
+      <td data-label="Total">${formatMoney(t.total)}</td>
+      <td class="actions" data-label=""><button class="btn" data-act="table-receipt" data-id="${t.id}">Ticket</button></td>
+    `;
+    done.appendChild(tr);
+  }
+  if (closed.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td colspan="4" class="small">Aún no se ha cobrado ninguna mesa.</td>`;
+    done.appendChild(tr);
+  }
+}
+
+function escapeHtml(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
+
+/**
+ * What the customer is charged for: a table settlement (time per player,
+ * consumption, promotion) or a standalone sale (lines, returns, promotion).
+ * @param {'table'|'sale'} kind
+ * @returns {Receipt}
+ */
+function receiptFor(state, kind, rec) {
+  const payments = recordPayments(rec).map(p => ({
+    label: paymentMethodLabel(state, p.method) + (p.payer ? ` (${p.payer})` : p.customerId ? ` (${customerName(state, p.customerId)})` : ''),
+    amount: Number(p.amount) || 0,
+  }));
+
+  if (kind === 'table') {
+    const t = /** @type {TableSession} */ (rec);
+    const time = Number(t.timeTotal ?? (Number(t.total || 0) - Number(t.consumptionTotal || 0)));
+    const segments = Array.isArray(t.segments) && t.segments.length ? t.segments : null;
+    const minutes = Math.round((new Date(t.endAt).getTime() - new Date(t.startAt).getTime()) / 60000);
+    const paused = Math.round(pausedMsWithin(t, new Date(t.startAt).getTime(), new Date(t.endAt).getTime(), new Date(t.endAt).getTime()) / 60000);
+    /** @type {Map<number, {qty:number, total:number}>} */
+    const consumed = new Map();
+    for (const l of tableConsumption(state, t.id).flatMap(x => saleNet(x).lines)) {
+      const row = consumed.get(l.productId) || { qty: 0, total: 0 };
+      row.qty += l.qty;
+      row.total += l.total;
+      consumed.set(l.productId, row);
+    }
+    const items = [
+      ...(segments
+        ? segments.map(x => ({ label: `Tiempo ${x.name}`, detail: `${formatTime(x.joinAt)}-${formatTime(x.leaveAt)} · ${x.billedMinutes || x.minutes} min`, amount: x.amount }))
+        : [{ label: 'Tiempo de mesa', detail: `${minutes - paused} min`, amount: time }]),
+      ...[...consumed].map(([productId, x]) => ({ label: `${productName(state, productId)} x${x.qty}`, amount: Number(x.total.toFixed(2)) })),
+    ];
+    return {
+      title: `Mesa ${t.table}`,
+      at: t.endAt,
+      info: [
+        `${formatTime(t.startAt)} a ${formatTime(t.endAt)} · ${minutes} min`,
+        ...(paused ? [`Pausas sin cobro: ${paused} min`] : []),
+        `Tarifa: ${describeRatePlan(sessionPlan(t))}`,
+      ],
+      items,
+      subtotal: Number((time + Number(t.consumptionTotal || 0)).toFixed(2)),
+      discount: Number(t.discount || 0),
+      discountLabel: t.promotionName,
+      total: Number(t.total || 0),
+      payments,
+      tendered: t.tendered,
+      change: t.change,
+    };
+  }
+
+  const sale = /** @type {Sale} */ (rec);
+  const session = sale.tableSessionId ? state.tables.find(t => t.id === sale.tableSessionId) : null;
+  const returns = saleReturns(sale);
+  return {
+    title: `Ticket #${String(sale.id).slice(-6)}`,
+    at: sale.at,
+    info: sale.notes ? [sale.notes] : [],
+    items: [
+      ...saleLines(sale).map(l => ({ label: `${productName(state, l.productId)} x${l.qty}`, detail: l.qty > 1 ? `${formatMoney(l.unitPrice)} c/u` : undefined, amount: l.total })),
+      ...returns.map(r => ({ label: r.kind === 'anulacion' ? 'Anulación' : `Devolución: ${returnSummary(state, r)}`, detail: formatDateTime(r.at), amount: -r.amount })),
+    ],
+    subtotal: Number(sale.subtotal ?? sum(saleLines(sale).map(l => l.total))),
+    discount: Number(sale.discount || 0),
+    discountLabel: sale.promotionName,
+    total: saleNet(sale).total,
+    payments: session ? [] : payments,
+    tendered: sale.tendered,
+    change: sale.change,
+    note: session ? `Cargado a la cuenta de la Mesa ${session.table}` : undefined,
+  };
+}
+
+/**
+ * Fixed-width text of a receipt; the first line is the business name. Used
+ * for the preview, the print page and the ESC/POS bytes so all three match.
+ * @param {Receipt} r
+ * @returns {string[]}
+ */
+function receiptLines(state, r, cols) {
+  const center = (text) => ' '.repeat(Math.max(0, Math.floor((cols - text.length) / 2))) + text;
+  const wrap = (text, width) => {
+    const out = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/)) {
+      if (line && (line + ' ' + word).length > width) {
+        out.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    if (line) out.push(line);
+    return out.flatMap(x => (x.length > width ? x.match(new RegExp(`.{1,${width}}`, 'g')) : [x]));
+  };
+  // Label on the left, amount flush right; long labels wrap above the amount
+  const row = (label, amount) => {
+    const value = formatMoney(amount).replace(/\s/g, ' ');
+    const parts = wrap(label, cols - value.length - 1);
+    const last = parts.pop() || '';
+    return [...parts, last + ' '.repeat(Math.max(1, cols - last.length - value.length)) + value];
+  };
+  const sep = '-'.repeat(cols);
+
+  return [
+    center(state.business?.name || 'M&S - Control Finanzas'),
+    center(r.title),
+    center(formatDateTime(r.at)),
+    ...r.info.flatMap(x => wrap(x, cols)),
+    sep,
+    ...r.items.flatMap(x => [...row(x.label, x.amount), ...(x.detail ? wrap(x.detail, cols - 2).map(d => `  ${d}`) : [])]),
+    sep,
+    ...(r.discount ? [...row('Subtotal', r.subtotal), ...row(`Descuento${r.discountLabel ? ` ${r.discountLabel}` : ''}`, -r.discount)] : []),
+    ...row('TOTAL', r.total),
+    ...(r.payments.length ? [sep, ...r.payments.flatMap(p => row(p.label, p.amount))] : []),
+    ...(r.tendered ? row('Recibido', r.tendered) : []),
+    ...(r.change ? row('Vuelto', r.change) : []),
+    ...(r.note ? ['', ...wrap(r.note, cols)] : []),
+    '',
+    ...(state.business?.receiptFooter ? wrap(state.business.receiptFooter, cols).map(center) : [center('¡Gracias por su visita!')]),
+  ];
+}
+
+/** Print rules for a thermal roll: page as wide as the paper, about 32/48 characters per line. */
+function receiptCss(width) {
+  return `@page{size:${width}mm auto;margin:0} body{margin:0;padding:2mm ${width === 80 ? 4 : 5}mm}
+    pre{font:9px/1.3 ui-monospace,Menlo,Consolas,monospace;margin:0;white-space:pre}
+    pre b{font-size:11px}`;
+}
+
+// Code page 858 (Latin-1 + €), selected with ESC t 19 on most thermal printers
+const CP858 = { 'á': 0xa0, 'é': 0x82, 'í': 0xa1, 'ó': 0xa2, 'ú': 0xa3, 'ñ': 0xa4, 'Ñ': 0xa5, 'ü': 0x81, 'Ü': 0x9a, 'Á': 0xb5, 'É': 0x90, 'Í': 0xd6, 'Ó': 0xe0, 'Ú': 0xe9, '¿': 0xa8, '¡': 0xad, '€': 0xd5, '·': 0xfa, '−': 0x2d, '–': 0x2d };
+
+/** Raw ESC/POS job: business name bold and tall, then the ticket text, feed and cut. */
+function escposBytes(lines) {
+  const out = [0x1b, 0x40, 0x1b, 0x74, 19];
+  const text = (s) => {
+    for (const ch of s) {
+      const code = ch.charCodeAt(0);
+      out.push(CP858[ch] ?? (code >= 0x20 && code < 0x7f ? code : /\s/.test(ch) ? 0x20 : 0x3f));
+    }
+    out.push(0x0a);
+  };
+  const [name, ...rest] = lines;
+  out.push(0x1b, 0x45, 1, 0x1d, 0x21, 0x01);
+  text(name);
+  out.push(0x1b, 0x45, 0, 0x1d, 0x21, 0x00);
+  rest.forEach(text);
+  out.push(0x1b, 0x64, 4, 0x1d, 0x56, 0x42, 0x00);
+  return new Uint8Array(out);
+}
+
+/** Sends an ESC/POS job to a print bridge on the local network (raw bytes in the body). */
+async function sendToPrintBridge(url, bytes) {
+  const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/octet-stream' }, body: bytes });
+  if (!res.ok) throw new Error(`La impresora respondió ${res.status}`);
+}
+
+/**
+ * Prints a standalone document (report, closing, ticket) through a hidden
+ * iframe, so the app page itself is not printed.
+ * @param {string} title
+ * @param {string} bodyHtml
+ * @param {string} [css] extra rules, e.g. the page size of a ticket
+ */
+function printHtml(title, bodyHtml, css = '') {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0';
+  document.body.appendChild(frame);
+  const doc = frame.contentDocument;
+  doc.open();
+  doc.write(`<!doctype html><html lang="es"><head><meta charset="utf-8" /><title>${escapeHtml(title)}</title><style>
+    body{font:12px/1.4 system-ui,sans-serif;color:#000;margin:16px}
+    h1{font-size:16px;margin:0 0 4px} .small{color:#555;font-size:11px}
+    table{width:100%;border-collapse:collapse;margin-top:10px} th,td{padding:4px 6px;border-bottom:1px solid #ddd;text-align:left}
+    td.num,th.num{text-align:right} tr.strong td{font-weight:700;border-top:1px solid #000}
+    ${css}
+  </style></head><body>${bodyHtml}</body></html>`);
+  doc.close();
+  try {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  } finally {
+    window.setTimeout(() => frame.remove(), 1000);
+  }
+}
+
+function downloadText(filename, content, mime = 'text/plain') {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/** wa.me link with the text ready to send; without a phone WhatsApp asks for the chat. */
+function whatsappUrl(text, phone = '') {
+  return `https://wa.me/${String(phone).replace(/\D/g, '')}?text=${encodeURIComponent(text)}`;
+}
+
+/**
+ * Hands a text to someone: WhatsApp when there is a phone, else the device's
+ * share sheet, else the clipboard.
+ * @param {string} title
+ * @param {string} text
+ * @param {string} [phone]
+ */
+async function shareText(title, text, phone) {
+  if (String(phone || '').replace(/\D/g, '')) {
+    window.open(whatsappUrl(text, phone), '_blank', 'noopener');
+    return 'whatsapp';
+  }
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, text });
+      return 'share';
+    } catch (err) {
+      if (err?.name === 'AbortError') return 'cancelled';
+    }
+  }
+  await navigator.clipboard.writeText(text);
+  return 'clipboard';
+}
+
+function toCSV(rows) {
+  const esc = (v) => {
+    const s = String(v ?? '');
+    if (/[\n\r,\"]/g.test(s)) return '"' + s.replaceAll('"', '""') + '"';
+    return s;
+  };
+  return rows.map(r => r.map(esc).join(',')).join('\n');
+}
+
+async function init() {
+  setupInstallButton();
+  void registerServiceWorker();
+
+  // App lock: sealed data can't be read until the PIN opens the vault
+  const initialLock = await getLockConfig().catch(() => null);
+  if (initialLock) await showLockScreen(initialLock);
+
+  /** @type {ReturnType<typeof emptyState>} */
+  let state = normalizeState((await loadState()) || emptyState());
+
+  // Ensure we have a stable device id (used for sync)
+  try { await ensureDeviceId(); } catch { /* ignore */ }
+  setAuditBaseline(state);
+
+  let stateChangedDuringInit = false;
+
+  // Legacy migration from the older monolithic HTML (productos/ventas/mesasActivas)
+  try {
+    const meta = await getMeta();
+    if (!meta.legacyBillarMigratedAt && isStateEmpty(state)) {
+      const res = migrateFromLegacyBillarLocalStorageIntoState(state);
+      if (res.migrated) {
+        state = res.state;
+        meta.legacyBillarMigratedAt = nowISO();
+        await setMeta(meta);
+        await saveState(state, { source: 'migracion' });
+        stateChangedDuringInit = true;
+        toast('Migración', 'Importé datos antiguos (localStorage) a la app actual.');
+      }
+    }
+  } catch {
+    // ignore migration errors
+  }
+
+  const wasEmptyBeforeSeed = isStateEmpty(state);
+  state = seedIfEmpty(state);
+  if (wasEmptyBeforeSeed && !isStateEmpty(state)) stateChangedDuringInit = true;
+  if (stateChangedDuringInit) {
+    await saveState(state, { source: 'init' });
+  }
+
+  // Automatic daily snapshot (keeps last MAX_SNAPSHOTS)
+  try { await ensureDailySnapshot(state); } catch { /* ignore */ }
+
+  // Tabs
+  document.querySelectorAll('.tab').forEach(btn => {
+    btn.addEventListener('click', () => setSection(btn.getAttribute('data-target')));
+  });
+
+  // Top actions
+  $id('btnExport').addEventListener('click', () => {
+    const data = JSON.stringify(state, null, 2);
+    downloadText('ms_finanzas_backup.json', data, 'application/json');
+    toast('Exportado', 'Backup descargado como JSON.');
+  });
+
+  $id('fileImport').addEventListener('change', async (e) => {
+    const input = /** @type {HTMLInputElement} */ (e.currentTarget);
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const parsed = JSON.parse(text);
+      if (!parsed || typeof parsed !== 'object') throw new Error('Formato inválido');
+
+      // Basic shape check
+      if (!Array.isArray(parsed.products) || !Array.isArray(parsed.sales) || !Array.isArray(parsed.expenses) || !Array.isArray(parsed.tables)) {
+        throw new Error('El backup no contiene la estructura esperada.');
+      }
+
+      state = normalizeState(parsed);
+      await saveState(state, { source: 'import' });
+      rerender();
+      toast('Importado', 'Datos restaurados desde backup.');
+    } catch (err) {
+      toast('Error', `No se pudo importar: ${err?.message || err}`);
+    }
+  });
+
+  $id('btnImport').addEventListener('click', () => $id('fileImport').click());
+
+  $id('btnClear').addEventListener('click', async () => {
+    if (!confirm('¿Eliminar TODOS los datos locales de esta app?')) return;
+    state = emptyState();
+    await idbClearAll();
+    // The PIN lock is gone with the rest of the data
+    await setVault(null);
+    void renderLockUI();
+    // Also clear any legacy remnants
+    try { localStorage.removeItem(LEGACY_STORAGE_KEY); } catch { /* ignore */ }
+    await saveState(state, { source: 'clear' });
+    rerender();
+    toast('Listo', 'Datos eliminados.');
+  });
+
+  // Snapshots / maintenance
+  const btnSnapshotNow = document.getElementById('btnSnapshotNow');
+  if (btnSnapshotNow) {
+    btnSnapshotNow.addEventListener('click', async () => {
+      await createSnapshot(state, 'manual');
+      void renderSnapshotsUI();
+      toast('Respaldo', 'Respaldo creado y guardado localmente.');
+    });
+  }
+
+  const btnMigrateLegacy = document.getElementById('btnMigrateLegacy');
+  if (btnMigrateLegacy) {
+    btnMigrateLegacy.addEventListener('click', async () => {
+      if (!confirm('¿Intentar importar datos antiguos desde localStorage (productos/ventas/mesasActivas)? Solo se importará si la app está vacía.')) return;
+      if (!isStateEmpty(state)) {
+        toast('No aplicado', 'Tu app ya tiene datos; no importé para evitar mezclar. Exporta y borra todo si deseas migrar.');
+        return;
+      }
+
+      const res = migrateFromLegacyBillarLocalStorageIntoState(state);
+      if (!res.migrated) {
+        toast('Sin datos', 'No encontré datos antiguos para importar.');
+        return;
+      }
+
+      state = res.state;
+      await saveState(state, { source: 'migracion-manual' });
+      const meta = await getMeta();
+      meta.legacyBillarMigratedAt = nowISO();
+      await setMeta(meta);
+      try { await ensureDailySnapshot(state); } catch { /* ignore */ }
+      rerender();
+      void renderSnapshotsUI();
+      toast('Migración', 'Datos antiguos importados correctamente.');
+    });
+  }
+
+  const snapshotList = document.getElementById('snapshotList');
+  if (snapshotList) {
+    snapshotList.addEventListener('click', async (e) => {
+      const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+      if (!btn) return;
+      const act = btn.getAttribute('data-act');
+      const id = btn.getAttribute('data-id');
+      if (!act || !id) return;
+
+      if (act === 'restore') {
+        if (!confirm('¿Restaurar este respaldo? Esto reemplaza los datos actuales.')) return;
+        const snap = await getSnapshot(id);
+        if (!snap?.state) {
+          toast('Error', 'Respaldo no encontrado.');
+          return;
+        }
+        state = normalizeState(snap.state);
+        await saveState(state, { source: 'snapshot-restore' });
+        rerender();
+        toast('Restaurado', 'Datos restaurados desde respaldo.');
+        return;
+      }
+
+      if (act === 'download') {
+        const snap = await getSnapshot(id);
+        if (!snap?.state) {
+          toast('Error', 'Respaldo no encontrado.');
+          return;
+        }
+        const data = JSON.stringify(snap.state, null, 2);
+        downloadText(`ms_finanzas_snapshot_${id.replaceAll(':', '-')}.json`, data, 'application/json');
+        toast('Descargado', 'Respaldo descargado como JSON.');
+      }
+    });
+  }
+
+  // App lock (PIN)
+  const renderLockUI = async () => {
+    const lock = await getLockConfig();
+    $id('btnLockNow').hidden = !lock;
+    /** @type {HTMLButtonElement} */ ($id('btnLockDisable')).disabled = !lock;
+    /** @type {HTMLButtonElement} */ ($id('btnLockRecoveryKey')).disabled = !lock;
+    $id('lockIdle').value = String(lock?.idleMinutes ?? LOCK_DEFAULT_IDLE_MINUTES);
+    $id('lockStatus').textContent = lock
+      ? `Activo — pide el PIN al abrir y tras ${lock.idleMinutes} min sin uso. Los datos y las credenciales de sync se guardan cifrados.`
+      : 'Inactivo — cualquiera con este dispositivo puede abrir la app.';
+  };
+
+  const downloadRecoveryKey = (bytes) => {
+    const text = [
+      'M&S Control Finanzas — clave de recuperación',
+      '',
+      formatRecoveryKey(bytes),
+      '',
+      'Sirve para entrar si olvidas el PIN. Guárdala fuera de este dispositivo.',
+    ].join('\n');
+    downloadText('ms_finanzas_clave_recuperacion.txt', text);
+  };
+
+  $id('lockConfigForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const pin = $id('lockPin').value;
+    const pin2 = $id('lockPin2').value;
+    const idleMinutes = clampInt($id('lockIdle').value, 1, 240);
+
+    if (pin.length < LOCK_MIN_PIN_LENGTH) {
+      toast('Validación', `El PIN debe tener al menos ${LOCK_MIN_PIN_LENGTH} caracteres.`);
+      return;
+    }
+    if (pin !== pin2) {
+      toast('Validación', 'Los PIN no coinciden.');
+      return;
+    }
+
+    try {
+      const lock = await getLockConfig();
+      if (lock && _vault) {
+        lock.pin = await wrapWithPin(_vault.raw, pin);
+        lock.idleMinutes = idleMinutes;
+        await idbSet(IDB_LOCK_KEY, lock);
+        toast('PIN cambiado', 'El nuevo PIN ya está activo.');
+      } else {
+        const raw = crypto.getRandomValues(new Uint8Array(32));
+        const recovery = crypto.getRandomValues(new Uint8Array(32));
+        // Lock config first: if sealing is interrupted, plain data is still readable
+        await idbSet(IDB_LOCK_KEY, {
+          enabled: true,
+          idleMinutes,
+          pin: await wrapWithPin(raw, pin),
+          recovery: await wrapWithRecovery(raw, recovery),
+        });
+        await changeVault(raw, state);
+        downloadRecoveryKey(recovery);
+        toast('Bloqueo activado', 'Se descargó la clave de recuperación. Guárdala en un lugar seguro.');
+      }
+      $id('lockConfigForm').reset();
+    } catch (err) {
+      toast('Error', `No se pudo activar el bloqueo: ${err?.message || err}`);
+    }
+    void renderLockUI();
+  });
+
+  $id('lockIdle').addEventListener('change', async () => {
+    const lock = await getLockConfig();
+    if (!lock) return;
+    lock.idleMinutes = clampInt($id('lockIdle').value, 1, 240);
+    await idbSet(IDB_LOCK_KEY, lock);
+    void renderLockUI();
+  });
+
+  $id('btnLockRecoveryKey').addEventListener('click', async () => {
+    const lock = await getLockConfig();
+    if (!lock || !_vault) return;
+    if (!confirm('¿Generar una nueva clave de recuperación? La anterior dejará de servir.')) return;
+    const recovery = crypto.getRandomValues(new Uint8Array(32));
+    lock.recovery = await wrapWithRecovery(_vault.raw, recovery);
+    await idbSet(IDB_LOCK_KEY, lock);
+    downloadRecoveryKey(recovery);
+    toast('Recuperación', 'Nueva clave de recuperación descargada.');
+  });
+
+  $id('btnLockDisable').addEventListener('click', async () => {
+    if (!(await getLockConfig())) return;
+    if (!confirm('¿Quitar el bloqueo con PIN? Los datos se guardarán sin cifrar en este dispositivo.')) return;
+    // Decrypt first, then drop the lock config (same order-safety as enabling)
+    await changeVault(null, state);
+    await idbDelete(IDB_LOCK_KEY);
+    void renderLockUI();
+    toast('Bloqueo', 'Bloqueo con PIN desactivado.');
+  });
+
+  $id('btnLockNow').addEventListener('click', async () => {
+    const lock = await getLockConfig();
+    if (lock) await showLockScreen(lock);
+  });
+
+  // Inactivity lock
+  let lastActivity = Date.now();
+  for (const ev of ['pointerdown', 'keydown', 'touchstart']) {
+    document.addEventListener(ev, () => { lastActivity = Date.now(); }, { passive: true });
+  }
+  window.setInterval(async () => {
+    if (!$id('lockScreen').hidden) return;
+    const lock = await getLockConfig().catch(() => null);
+    if (!lock || Date.now() - lastActivity < lock.idleMinutes * 60000) return;
+    await showLockScreen(lock);
+    lastActivity = Date.now();
+  }, 15000);
+
+  void renderLockUI();
+
+  // Products interactions
+  $id('productsFilter').addEventListener('change', () => renderProducts(state));
+  $id('productsSearch').addEventListener('input', () => renderProducts(state));
+
+  $id('productForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const id = Number($id('productId').value || 0);
+    const name = $id('productName').value.trim();
+    const category = $id('productCategory').value;
+    const cost = parseMoney($id('productCost').value);
+    const price = parseMoney($id('productPrice').value);
+    const stock = clampInt($id('productStock').value, 0, 1_000_000);
+    const stockMin = clampInt($id('productStockMin').value, 0, 1_000_000);
+
+    if (!name) {
+      toast('Falta dato', 'Escribe el nombre del producto.');
+      return;
+    }
+    if (!(cost >= 0) || !(price >= 0) || price < cost) {
+      toast('Validación', 'El precio debe ser >= costo (y ambos válidos).');
+      return;
+    }
+
+    if (id) {
+      const p = state.products.find(x => x.id === id);
+      if (!p) {
+        toast('Error', 'Producto no encontrado para editar.');
+        return;
+      }
+      p.name = name;
+      p.category = category;
+      p.cost = cost;
+      p.price = price;
+      p.stockMin = stockMin;
+      touch(p);
+      if (stock !== p.stock) recordMovement(state, p, { type: 'ajuste', qty: stock - p.stock, reason: 'Edición del producto' });
+      toast('Actualizado', 'Producto actualizado.');
+    } else {
+      const newP = /** @type {Product} */ ({
+        id: uuid(),
+        name,
+        category,
+        cost,
+        price,
+        stock: 0,
+        stockMin,
+      });
+      state.products.push(touch(newP));
+      if (stock) recordMovement(state, newP, { type: 'alta', qty: stock });
+      toast('Agregado', 'Producto creado.');
+    }
+
+    // Reset form
+    $id('productId').value = '';
+    $id('productForm').reset();
+
+    void saveState(state);
+    rerender();
+  });
+
+  $id('productCancel').addEventListener('click', () => {
+    $id('productId').value = '';
+    $id('productForm').reset();
+    toast('Listo', 'Edición cancelada.');
+  });
+
+  $id('productsTbody').addEventListener('click', (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn) return;
+    const act = btn.getAttribute('data-act');
+    const id = Number(btn.getAttribute('data-id'));
+
+    if (act === 'edit') {
+      const p = state.products.find(x => x.id === id);
+      if (!p) return;
+      $id('productId').value = String(p.id);
+      $id('productName').value = p.name;
+      $id('productCategory').value = p.category;
+      $id('productCost').value = String(p.cost);
+      $id('productPrice').value = String(p.price);
+      $id('productStock').value = String(p.stock);
+      $id('productStockMin').value = String(p.stockMin);
+      setSection('inventory');
+      toast('Editar', 'Modifica y guarda los cambios.');
+      return;
+    }
+
+    if (act === 'del') {
+      const p = state.products.find(x => x.id === id);
+      if (!p) return;
+      if (!confirm(`¿Eliminar "${p.name}"?`)) return;
+      removeRecord(state, 'products', id);
+      // Keep sales history but product link may show “eliminado”
+      void saveState(state);
+      rerender();
+      toast('Eliminado', 'Producto eliminado.', undoAction);
+    }
+  });
+
+  // Goods receiving (purchases)
+  /** @type {{productId:number, qty:number, unitCost:number}[]} */
+  let receipt = [];
+
+  $id('receiveProduct').addEventListener('change', () => {
+    const p = state.products.find(x => x.id === Number($id('receiveProduct').value || 0));
+    if (p) $id('receiveCost').value = String(p.cost);
+  });
+
+  $id('receiveExpense').addEventListener('change', () => renderReceiving(state, receipt));
+
+  $id('receiveForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const productId = Number($id('receiveProduct').value || 0);
+    const qty = clampInt($id('receiveQty').value, 1, 1_000_000);
+    const unitCost = parseMoney($id('receiveCost').value);
+
+    if (!state.products.some(x => x.id === productId)) {
+      toast('Falta dato', 'Selecciona un producto.');
+      return;
+    }
+    if (!(unitCost >= 0)) {
+      toast('Validación', 'El costo unitario no es válido.');
+      return;
+    }
+
+    // Same product twice in a receipt: merge into one line at the averaged unit cost
+    const item = receipt.find(x => x.productId === productId);
+    if (item) {
+      item.unitCost = Number(((item.qty * item.unitCost + qty * unitCost) / (item.qty + qty)).toFixed(2));
+      item.qty += qty;
+    } else {
+      receipt.push({ productId, qty, unitCost });
+    }
+
+    $id('receiveProduct').value = '';
+    $id('receiveQty').value = '1';
+    $id('receiveCost').value = '';
+    renderReceiving(state, receipt);
+  });
+
+  $id('receiveTbody').addEventListener('click', (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn || btn.getAttribute('data-act') !== 'receive-del') return;
+    const id = Number(btn.getAttribute('data-id'));
+    receipt = receipt.filter(x => x.productId !== id);
+    renderReceiving(state, receipt);
+  });
+
+  $id('btnReceiveClear').addEventListener('click', () => {
+    receipt = [];
+    renderReceiving(state, receipt);
+  });
+
+  $id('btnReceiveConfirm').addEventListener('click', async () => {
+    const supplierId = Number($id('receiveSupplier').value || 0);
+    const supplier = state.suppliers.find(x => x.id === supplierId);
+    const invoice = $id('receiveInvoice').value.trim();
+    const withExpense = /** @type {HTMLInputElement} */ ($id('receiveExpense')).checked;
+    const shift = openShift(state);
+    const fromDrawer = withExpense && !!shift && /** @type {HTMLInputElement} */ ($id('receiveFromDrawer')).checked;
+
+    if (!receipt.length) {
+      toast('Recepción vacía', 'Agrega al menos un producto.');
+      return;
+    }
+    if (!supplier) {
+      toast('Falta dato', 'Selecciona el proveedor.');
+      return;
+    }
+    if (receipt.some(x => !state.products.some(p => p.id === x.productId))) {
+      toast('Error', 'Un producto de la recepción ya no existe.');
+      return;
+    }
+
+    const at = nowISO();
+    const purchaseId = uuid();
+    /** @type {PurchaseLine[]} */
+    const lines = receipt.map(item => {
+      const p = state.products.find(x => x.id === item.productId);
+      const line = { productId: p.id, qty: item.qty, unitCost: item.unitCost, total: Number((item.qty * item.unitCost).toFixed(2)), previousCost: p.cost };
+      p.cost = weightedAverageCost(p, item.qty, item.unitCost);
+      p.supplierId = supplier.id;
+      recordMovement(state, p, { type: 'compra', qty: item.qty, unitCost: item.unitCost, refId: purchaseId, at, reason: invoice ? `Factura ${invoice}` : undefined });
+      return line;
+    });
+
+    /** @type {Purchase} */
+    const purchase = { id: purchaseId, at, supplierId: supplier.id, lines, total: Number(sum(lines.map(l => l.total)).toFixed(2)), invoice: invoice || undefined };
+
+    if (withExpense && purchase.total > 0) {
+      /** @type {Expense} */
+      const exp = {
+        id: uuid(),
+        at,
+        type: 'compras',
+        amount: purchase.total,
+        description: `Compra a ${supplier.name}${invoice ? ` (factura ${invoice})` : ''}`,
+        fromDrawer: fromDrawer || undefined,
+        shiftId: shift?.id,
+        purchaseId: purchase.id,
+      };
+      state.expenses.push(touch(exp));
+      purchase.expenseId = exp.id;
+    }
+
+    state.purchases.push(touch(purchase));
+    receipt = [];
+    $id('receiveInvoice').value = '';
+
+    await saveState(state);
+    rerender();
+    toast('Mercadería recibida', `${supplier.name} — ${lines.length} producto(s), total ${formatMoney(purchase.total)}${purchase.expenseId ? ' (gasto registrado)' : ''}`);
+  });
+
+  $id('supplierForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = $id('supplierName').value.trim();
+    const phone = $id('supplierPhone').value.trim();
+    if (!name) {
+      toast('Falta dato', 'Escribe el nombre del proveedor.');
+      return;
+    }
+    if (state.suppliers.some(x => normalizeName(x.name) === normalizeName(name))) {
+      toast('Validación', `El proveedor “${name}” ya existe.`);
+      return;
+    }
+    /** @type {Supplier} */
+    const supplier = { id: uuid(), name, phone: phone || undefined };
+    state.suppliers.push(touch(supplier));
+    $id('supplierForm').reset();
+    await saveState(state);
+    rerender();
+    $id('receiveSupplier').value = String(supplier.id);
+    toast('Agregado', `Proveedor ${name} registrado.`);
+  });
+
+  // Undo / redo (this session only)
+  const undoLast = async () => {
+    const step = undoHistory.undo.pop();
+    if (!step) {
+      toast('Deshacer', 'No hay acciones para deshacer.');
+      return;
+    }
+    undoHistory.redo.push({ label: step.label, data: dataSnapshot(state) });
+    revertState(state, step.data);
+    await saveState(state, { source: 'undo' });
+    rerender();
+    toast('Deshecho', step.label, { label: 'Rehacer', run: () => void redoLast() });
+  };
+
+  const redoLast = async () => {
+    const step = undoHistory.redo.pop();
+    if (!step) {
+      toast('Rehacer', 'No hay acciones para rehacer.');
+      return;
+    }
+    undoHistory.undo.push({ label: step.label, data: dataSnapshot(state) });
+    revertState(state, step.data);
+    await saveState(state, { source: 'redo' });
+    rerender();
+    toast('Rehecho', step.label, { label: 'Deshacer', run: () => void undoLast() });
+  };
+
+  /** Toast button offered right after destructive actions. */
+  const undoAction = { label: 'Deshacer', run: () => void undoLast() };
+
+  $id('btnUndo').addEventListener('click', () => void undoLast());
+  $id('btnRedo').addEventListener('click', () => void redoLast());
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (!$id('lockScreen').hidden) return;
+    // Inside a field the browser's own text undo applies
+    const el = /** @type {HTMLElement} */ (e.target);
+    if (el.closest('input, textarea, select, dialog[open]')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      void undoLast();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      void redoLast();
+    }
+  });
+
+  // Audit log
+  for (const id of ['auditColl', 'auditAction', 'auditFrom', 'auditTo', 'auditSearch']) {
+    $id(id).addEventListener('input', () => renderAudit(state));
+  }
+
+  $id('btnExportAudit').addEventListener('click', () => {
+    const rows = filterAudit(state, readAuditFilter());
+    if (!rows.length) {
+      toast('Sin datos', 'No hay registros de auditoría para este filtro.');
+      return;
+    }
+    downloadText('ms_finanzas_auditoria.csv', toCSV([
+      ['fecha', 'dispositivo', 'usuario', 'accion', 'origen', 'datos', 'id', 'registro', 'antes', 'despues', 'detalle'],
+      ...rows.reverse().map(x => [x.at, x.device, x.user, x.action, x.source, x.coll || '', String(x.recordId ?? ''), x.label,
+        x.before ? JSON.stringify(x.before) : '', x.after ? JSON.stringify(x.after) : '', describeAuditEntry(x)]),
+    ]), 'text/csv');
+    toast('Exportado', 'Registro de auditoría descargado.');
+  });
+
+  // Kardex, manual movements and physical counts
+  $id('kardexProduct').addEventListener('change', () => renderKardex(state));
+
+  $id('movementForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const p = state.products.find(x => x.id === Number($id('movementProduct').value || 0));
+    const kind = $id('movementType').value;
+    const qty = clampInt($id('movementQty').value, 1, 1_000_000);
+    const reason = $id('movementReason').value.trim();
+
+    if (!p) {
+      toast('Falta dato', 'Selecciona un producto.');
+      return;
+    }
+    if (!reason) {
+      toast('Falta dato', 'Indica el motivo del movimiento.');
+      return;
+    }
+
+    // "ajuste+" / "ajuste-" are both stored as "ajuste" with the sign in qty
+    const inbound = kind === 'ajuste+' || kind === 'devolucion';
+    if (!inbound && qty > p.stock) {
+      toast('Stock insuficiente', `${p.name}: solo hay ${p.stock} unidades.`);
+      return;
+    }
+
+    recordMovement(state, p, { type: kind.startsWith('ajuste') ? 'ajuste' : kind, qty: inbound ? qty : -qty, reason });
+    $id('movementForm').reset();
+    $id('movementProduct').value = String(p.id);
+    $id('kardexProduct').value = String(p.id);
+
+    await saveState(state);
+    rerender();
+    toast('Movimiento registrado', `${p.name}: ${inbound ? '+' : '−'}${qty} (stock ${p.stock})`);
+  });
+
+  $id('countTbody').addEventListener('input', (e) => {
+    const input = /** @type {HTMLInputElement} */ (e.target);
+    const id = input.getAttribute('data-id');
+    const p = state.products.find(x => x.id === Number(id));
+    const cell = $id('countTbody').querySelector(`[data-diff="${id}"]`);
+    if (!p || !cell) return;
+    const diff = input.value === '' ? null : clampInt(input.value, 0, 1_000_000) - p.stock;
+    cell.textContent = diff == null ? '' : (diff > 0 ? `+${diff}` : String(diff));
+  });
+
+  $id('btnCountApply').addEventListener('click', async () => {
+    const reason = $id('countReason').value.trim() || 'Conteo físico';
+    const items = [];
+    $id('countTbody').querySelectorAll('input[data-id]').forEach(x => {
+      const input = /** @type {HTMLInputElement} */ (x);
+      if (input.value === '') return;
+      const p = state.products.find(y => y.id === Number(input.getAttribute('data-id')));
+      if (!p) return;
+      items.push({ p, counted: clampInt(input.value, 0, 1_000_000) });
+    });
+
+    if (!items.length) {
+      toast('Conteo vacío', 'Escribe lo contado de al menos un producto.');
+      return;
+    }
+
+    const changed = items.filter(x => x.counted !== x.p.stock);
+    if (!confirm(`¿Aplicar el conteo? ${items.length} producto(s) contados, ${changed.length} con diferencia.`)) return;
+
+    const countId = uuid();
+    const at = nowISO();
+    /** @type {StockCount} */
+    const count = {
+      id: countId,
+      at,
+      user: currentUser(state),
+      reason,
+      items: items.map(({ p, counted }) => ({ productId: p.id, expected: p.stock, counted, diff: counted - p.stock, unitCost: p.cost })),
+    };
+    for (const { p, counted } of changed) {
+      recordMovement(state, p, { type: 'conteo', qty: counted - p.stock, reason, refId: countId, at });
+    }
+    state.stockCounts.push(touch(count));
+    $id('countTbody').querySelectorAll('input[data-id]').forEach(x => { /** @type {HTMLInputElement} */ (x).value = ''; });
+    $id('countReason').value = '';
+
+    await saveState(state);
+    rerender();
+    const missing = count.items.filter(i => i.diff < 0);
+    toast('Conteo aplicado', `${changed.length} ajuste(s). Faltante al costo: ${formatMoney(sum(missing.map(i => -i.diff * i.unitCost)))}`, undoAction);
+  });
+
+  // Receipts (declared before the sale and table handlers that show them)
+  /** @type {PrinterConfig} */
+  let printer = { width: 80, bridgeUrl: '', autoShow: false };
+  try {
+    printer = { ...printer, ...((await getMeta()).printer || {}) };
+  } catch {
+    // keep the defaults: this device's printer settings can't be read
+  }
+  /** @type {Receipt|null} */
+  let currentReceipt = null;
+  const currentReceiptLines = () => receiptLines(state, currentReceipt, RECEIPT_COLUMNS[printer.width]);
+
+  const renderReceiptSettings = () => {
+    $id('receiptBusinessName').value = state.business.name || '';
+    $id('receiptFooter').value = state.business.receiptFooter || '';
+    $id('receiptWidth').value = String(printer.width);
+    $id('receiptBridgeUrl').value = printer.bridgeUrl;
+    /** @type {HTMLInputElement} */ ($id('receiptAutoShow')).checked = printer.autoShow;
+  };
+  renderReceiptSettings();
+
+  /** @param {Receipt} receipt */
+  const showReceipt = (receipt) => {
+    currentReceipt = receipt;
+    $id('receiptTitle').textContent = receipt.title;
+    $id('receiptPreview').textContent = currentReceiptLines().join('\n');
+    $id('btnReceiptBridge').hidden = !printer.bridgeUrl;
+    /** @type {HTMLDialogElement} */ ($id('receiptDialog')).showModal();
+  };
+
+  // Sales (ticket with several lines, confirmed once)
+  /** @type {{productId:number, qty:number}[]} */
+  let cart = [];
+
+  $id('saleForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const productId = Number($id('saleProduct').value || 0);
+    const qty = clampInt($id('saleQty').value, 1, 1_000_000);
+
+    const p = state.products.find(x => x.id === productId);
+    if (!p) {
+      toast('Falta dato', 'Selecciona un producto.');
+      return;
+    }
+
+    const item = cart.find(x => x.productId === p.id);
+    const inCart = item ? item.qty : 0;
+    if (p.stock < inCart + qty) {
+      toast('Stock insuficiente', `Solo hay ${p.stock} unidades disponibles.`);
+      return;
+    }
+
+    if (item) item.qty += qty;
+    else cart.push({ productId: p.id, qty });
+
+    $id('saleProduct').value = '';
+    $id('saleQty').value = '1';
+    renderCart(state, cart);
+  });
+
+  $id('cartTbody').addEventListener('click', (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn || btn.getAttribute('data-act') !== 'cart-del') return;
+    const id = Number(btn.getAttribute('data-id'));
+    cart = cart.filter(x => x.productId !== id);
+    renderCart(state, cart);
+  });
+
+  $id('btnCartClear').addEventListener('click', () => {
+    cart = [];
+    $id('saleNotes').value = '';
+    renderCart(state, cart);
+  });
+
+  $id('btnCartConfirm').addEventListener('click', async () => {
+    if (!cart.length) {
+      toast('Ticket vacío', 'Agrega al menos un producto.');
+      return;
+    }
+    const notes = $id('saleNotes').value.trim();
+    const targetId = Number($id('saleTarget').value || 0);
+    const session = targetId ? state.tables.find(t => t.id === targetId && t.active) : null;
+    if (targetId && !session) {
+      toast('Mesa no activa', 'La mesa seleccionada ya fue finalizada.');
+      return;
+    }
+
+    // Check every line before touching stock so the ticket is all-or-nothing
+    /** @type {SaleLine[]} */
+    const lines = [];
+    for (const item of cart) {
+      const p = state.products.find(x => x.id === item.productId);
+      if (!p) {
+        toast('Error', 'Un producto del ticket ya no existe.');
+        return;
+      }
+      if (p.stock < item.qty) {
+        toast('Stock insuficiente', `${p.name}: solo hay ${p.stock} unidades disponibles.`);
+        return;
+      }
+      lines.push({
+        productId: p.id,
+        qty: item.qty,
+        unitPrice: p.price,
+        unitCost: p.cost,
+        total: item.qty * p.price,
+        profit: item.qty * (p.price - p.cost),
+      });
+    }
+
+    const total = sum(lines.map(l => l.total));
+
+    // Consumption charged to a table is paid (and discounted) when the table is settled
+    const promos = session ? [] : applicablePromotions(state, 'sale', { lines, time: 0, minutes: 0 });
+    const paid = session ? null : await askPayment({
+      title: 'Cobrar ticket',
+      lines: lines.map(l => `${productName(state, l.productId)} x${l.qty} — ${formatMoney(l.total)}`),
+      total,
+      methods: state.business.paymentMethods,
+      customers: [...state.customers].sort((x, y) => x.name.localeCompare(y.name, 'es')),
+      promotions: promos.map(x => ({ id: x.promo.id, label: x.promo.name, discount: x.discount })),
+      confirmLabel: 'Cobrar',
+    });
+    if (!session && !paid) return;
+    const { promotionId, ...payment } = paid || {};
+    const applied = promos.find(x => x.promo.id === promotionId);
+    const discount = applied ? applied.discount : 0;
+
+    const saleId = uuid();
+    const at = nowISO();
+    for (const line of lines) {
+      const p = state.products.find(x => x.id === line.productId);
+      recordMovement(state, p, { type: 'venta', qty: -line.qty, unitCost: line.unitCost, refId: saleId, at });
+    }
+
+    /** @type {Sale} */
+    const sale = {
+      id: saleId,
+      at,
+      lines,
+      total: Number((total - discount).toFixed(2)),
+      profit: Number((sum(lines.map(l => l.profit)) - discount).toFixed(2)),
+      notes: notes || undefined,
+      tableSessionId: session ? session.id : undefined,
+      shiftId: openShift(state)?.id,
+      ...payment,
+    };
+    if (applied) Object.assign(sale, { subtotal: total, discount, promotionId: applied.promo.id, promotionName: applied.promo.name });
+
+    state.sales.push(touch(sale));
+    cart = [];
+    $id('saleForm').reset();
+    $id('saleNotes').value = '';
+    $id('saleTarget').value = '';
+
+    await saveState(state);
+    rerender();
+    if (session) toast('Consumo cargado', `Mesa ${session.table} — ${saleUnits(sale)} artículo(s) por ${formatMoney(sale.total)}`);
+    else toast('Venta registrada', `${saleUnits(sale)} artículo(s) — Total ${formatMoney(sale.total)}${discount ? ` (${sale.promotionName} −${formatMoney(discount)})` : ''}${sale.change ? ` · Vuelto ${formatMoney(sale.change)}` : ''}`, { label: 'Ticket', run: () => showReceipt(receiptFor(state, 'sale', sale)) });
+    if (!session && printer.autoShow) showReceipt(receiptFor(state, 'sale', sale));
+  });
+
+  // Sales are never deleted: a void or return is added to the original ticket
+  $id('salesTbody').addEventListener('click', async (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn) return;
+    const act = btn.getAttribute('data-act');
+    if (act === 'sale-receipt') {
+      const sale = state.sales.find(s => s.id === Number(btn.getAttribute('data-id')));
+      if (sale) showReceipt(receiptFor(state, 'sale', sale));
+      return;
+    }
+    if (act !== 'sale-void' && act !== 'sale-return') return;
+    const id = Number(btn.getAttribute('data-id'));
+    const sale = state.sales.find(s => s.id === id);
+    if (!sale || sale.voidedAt) return;
+
+    const isVoid = act === 'sale-void';
+    const net = saleNet(sale);
+    // Everything already came back: there is nothing left to void or return
+    if (!net.units) return;
+    const session = sale.tableSessionId ? state.tables.find(t => t.id === sale.tableSessionId) : null;
+    // Share of the consumption a closed table actually charged, after its promotion
+    const charged = session && !session.active && session.discountOnConsumption && session.consumptionTotal
+      ? Math.max(0, 1 - session.discountOnConsumption / session.consumptionTotal)
+      : 1;
+    // Returns are refunded at the price actually paid (after the promotions)
+    const gross = sum(saleLines(sale).map(l => l.total));
+    const factor = gross ? sale.total / gross * charged : 0;
+
+    const answer = await askReturn({
+      title: isVoid ? 'Anular venta' : 'Devolver productos',
+      message: `${formatDateTime(sale.at)} — ${saleSummary(state, sale)}${session?.active ? ` (se descuenta de la cuenta de la Mesa ${session.table})` : ''}`,
+      lines: net.lines.map(l => ({ productId: l.productId, label: productName(state, l.productId), max: l.qty, unitAmount: l.unitPrice * factor })),
+      all: isVoid,
+      confirmLabel: isVoid ? 'Anular venta' : 'Registrar devolución',
+    });
+    if (!answer) return;
+
+    // A void takes whatever is left, so the sale nets to exactly zero
+    const returnsAll = isVoid || sum(answer.lines.map(l => l.qty)) === net.units;
+    const amount = returnsAll
+      ? Number(Math.max(0, net.total - sale.total * (1 - charged)).toFixed(2))
+      : Number(sum(answer.lines.map(l => l.qty * saleLines(sale).find(x => x.productId === l.productId).unitPrice * factor)).toFixed(2));
+    const restockedCost = answer.restock
+      ? sum(answer.lines.map(l => l.qty * saleLines(sale).find(x => x.productId === l.productId).unitCost))
+      : 0;
+
+    const retId = uuid();
+    const at = nowISO();
+    /** @type {SaleReturn} */
+    const ret = {
+      id: retId,
+      at,
+      kind: isVoid ? 'anulacion' : 'devolucion',
+      lines: answer.lines,
+      amount,
+      // Goods that can't be resold stay as a cost: the whole refund comes off the margin
+      profit: returnsAll && answer.restock ? Number((amount - (net.total - net.profit)).toFixed(2)) : Number((amount - restockedCost).toFixed(2)),
+      reason: answer.reason,
+      restocked: answer.restock,
+      // Consumption on a running table simply comes off the bill; otherwise the
+      // money goes back the way it came in
+      payments: session?.active ? [] : refundPayments(session || sale, amount),
+      shiftId: openShift(state)?.id,
+      user: currentUser(state),
+    };
+
+    if (answer.restock) {
+      for (const l of answer.lines) {
+        const p = state.products.find(x => x.id === l.productId);
+        if (p) recordMovement(state, p, { type: 'devolucion', qty: l.qty, unitCost: saleLines(sale).find(x => x.productId === l.productId).unitCost, reason: answer.reason, refId: sale.id, at });
+      }
+    }
+
+    sale.returns = [...saleReturns(sale), ret];
+    if (isVoid) Object.assign(sale, { voidedAt: at, voidReason: answer.reason });
+    touch(sale);
+
+    await saveState(state);
+    rerender();
+    const cash = sum(ret.payments.filter(p => p.method === CASH_METHOD).map(p => p.amount));
+    toast(isVoid ? 'Venta anulada' : 'Devolución registrada', `${formatMoney(amount)}${cash ? ` · Entregar ${formatMoney(cash)} en efectivo` : ''}${answer.restock ? ' · Stock repuesto' : ''}`, undoAction);
+  });
+
+  // Expenses
+  $id('expenseForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const type = $id('expenseType').value;
+    const amount = parseMoney($id('expenseAmount').value);
+    const description = $id('expenseDescription').value.trim();
+    const shift = openShift(state);
+    const fromDrawer = !!shift && /** @type {HTMLInputElement} */ ($id('expenseFromDrawer')).checked;
+
+    if (!type) {
+      toast('Falta dato', 'Selecciona el tipo de gasto.');
+      return;
+    }
+    if (!(amount > 0)) {
+      toast('Validación', 'Monto debe ser mayor que 0.');
+      return;
+    }
+
+    /** @type {Expense} */
+    const exp = { id: uuid(), at: nowISO(), type, amount, description: description || undefined, fromDrawer: fromDrawer || undefined, shiftId: shift?.id };
+    state.expenses.push(touch(exp));
+    $id('expenseForm').reset();
+
+    await saveState(state);
+    rerender();
+    toast('Gasto registrado', `${type} — ${formatMoney(amount)}`);
+  });
+
+  $id('expensesTbody').addEventListener('click', async (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn) return;
+    if (btn.getAttribute('data-act') !== 'exp-del') return;
+    const id = Number(btn.getAttribute('data-id'));
+    if (!confirm('¿Eliminar este gasto?')) return;
+    removeRecord(state, 'expenses', id);
+    await saveState(state);
+    rerender();
+    toast('Eliminado', 'Gasto eliminado.', undoAction);
+  });
+
+  // Tables
+  /**
+   * Opens a session on a table (from the form or a tile of the grid).
+   * @returns {Promise<boolean>} false when validation failed
+   */
+  const startTableSession = async ({ table, players, planId, manualRate }) => {
+    const plan = planId ? state.ratePlans.find(x => x.id === planId) : null;
+    // The session keeps a copy of the plan so later edits don't change running bills
+    const rate = plan ? planRateAt(plan, new Date()) : manualRate;
+
+    if (planId && !plan) {
+      toast('Error', 'Plan de tarifa no encontrado.');
+      return false;
+    }
+    if (!plan && !(rate > 0)) {
+      toast('Validación', 'Tarifa debe ser mayor que 0.');
+      return false;
+    }
+
+    const def = state.tableDefs.find(d => d.number === table);
+    if (state.tableDefs.length && !def) {
+      toast('Mesa no registrada', `La mesa ${table} no está en el registro de mesas (Config).`);
+      return false;
+    }
+    if (def && !def.enabled) {
+      toast('Fuera de servicio', `La mesa ${table} está fuera de servicio.`);
+      return false;
+    }
+
+    const existing = state.tables.find(t => t.active && t.table === table);
+    if (existing) {
+      toast('Mesa activa', `La mesa ${table} ya está activa.`);
+      return false;
+    }
+
+    const startAt = nowISO();
+    /** @type {TableSession} */
+    const session = {
+      id: uuid(),
+      table,
+      players,
+      rate,
+      startAt,
+      active: true,
+      playerLog: Array.from({ length: players }, (_, i) => ({ id: i + 1, name: `Jugador ${i + 1}`, joinAt: startAt })),
+      pauses: [],
+      planId: plan ? plan.id : undefined,
+      plan: plan ? deepClone(plan) : undefined,
+    };
+
+    state.tables.push(touch(session));
+    await saveState(state);
+    rerender();
+    toast('Mesa iniciada', `Mesa ${table} con ${players} jugador(es).`);
+    return true;
+  };
+
+  $id('tableForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const planId = Number($id('tablePlan').value || 0);
+    const ok = await startTableSession({
+      table: clampInt($id('tableNumber').value, 1, 100),
+      players: clampInt($id('tablePlayers').value, 1, 50),
+      planId,
+      manualRate: parseMoney($id('tableRate').value),
+    });
+    if (!ok) return;
+    $id('tableForm').reset();
+    $id('tablePlan').value = String(planId || '');
+    /** @type {HTMLInputElement} */ ($id('tableRate')).disabled = !!planId;
+  });
+
+  // Picking a registered table pre-selects its default plan
+  $id('tableNumber').addEventListener('change', () => {
+    const def = state.tableDefs.find(d => d.number === clampInt($id('tableNumber').value, 1, 100));
+    if (!def) return;
+    $id('tablePlan').value = def.planId && state.ratePlans.some(x => x.id === def.planId) ? String(def.planId) : '';
+    /** @type {HTMLInputElement} */ ($id('tableRate')).disabled = !!$id('tablePlan').value;
+  });
+
+  $id('tablesGrid').addEventListener('click', async (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn || btn.getAttribute('data-act') !== 'grid-start') return;
+    const def = state.tableDefs.find(d => d.id === Number(btn.getAttribute('data-id')));
+    if (!def) return;
+    // One tap uses the table's own plan; without one, ask the hourly rate for this session
+    const planId = def.planId && state.ratePlans.some(x => x.id === def.planId) ? def.planId : 0;
+    let manualRate = 0;
+    if (!planId) {
+      const raw = prompt(`Mesa ${def.number} no tiene plan de tarifa. Tarifa por hora:`, '');
+      if (raw == null || raw.trim() === '') return;
+      manualRate = parseMoney(raw);
+    }
+    // Starts as a fresh form would (2 players); more join with “+”
+    await startTableSession({ table: def.number, players: 2, planId, manualRate });
+  });
+
+  $id('tablesTbody').addEventListener('click', async (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn) return;
+    const act = btn.getAttribute('data-act');
+    const id = Number(btn.getAttribute('data-id'));
+    const t = state.tables.find(x => x.id === id);
+    if (!t) return;
+
+    if (act === 'table-plus') {
+      const log = ensurePlayerLog(t);
+      const nextId = Math.max(0, ...log.map(p => p.id)) + 1;
+      log.push({ id: nextId, name: `Jugador ${nextId}`, joinAt: nowISO() });
+      t.players = activePlayers(t).length;
+      touch(t);
+      await saveState(state);
+      rerender();
+      toast('Jugador agregado', `Mesa ${t.table}: ${t.players} jugador(es).`);
+      return;
+    }
+
+    if (act === 'table-minus') {
+      const present = activePlayers(t);
+      if (present.length <= 1) {
+        toast('Último jugador', 'Para terminar con el último jugador usa “Finalizar”.');
+        return;
+      }
+      const bill = computeTableBill(state, t);
+      const choice = await askChoice({
+        title: `Mesa ${t.table}: ¿quién se retira?`,
+        message: 'Se cobra su tiempo hasta ahora; los demás siguen jugando.',
+        choices: present.map(p => {
+          const seg = bill.segments.find(x => x.name === p.name);
+          return { value: String(p.id), label: `${p.name} (${seg ? formatMoney(seg.amount) : '—'})` };
+        }),
+      });
+      if (!choice) return;
+      const player = ensurePlayerLog(t).find(p => String(p.id) === choice);
+      if (!player) return;
+      player.leaveAt = nowISO();
+      t.players = activePlayers(t).length;
+      touch(t);
+      await saveState(state);
+      rerender();
+      toast('Jugador retirado', `Mesa ${t.table}: ${player.name} se retiró; quedan ${t.players}.`, undoAction);
+      return;
+    }
+
+    if (act === 'table-pause' || act === 'table-resume') {
+      ensurePlayerLog(t);
+      if (act === 'table-pause' && !isTablePaused(t)) t.pauses.push({ startAt: nowISO() });
+      if (act === 'table-resume') {
+        for (const p of t.pauses) if (!p.endAt) p.endAt = nowISO();
+      }
+      touch(t);
+      await saveState(state);
+      rerender();
+      toast(act === 'table-pause' ? 'Mesa en pausa' : 'Mesa reanudada', `Mesa ${t.table}: ${act === 'table-pause' ? 'el tiempo no corre hasta reanudar.' : 'el tiempo vuelve a correr.'}`);
+      return;
+    }
+
+    if (act === 'table-move') {
+      let to = 0;
+      if (state.tableDefs.length) {
+        const free = state.tableDefs
+          .filter(d => d.enabled && !state.tables.some(x => x.active && x.table === d.number))
+          .sort((a, b) => a.number - b.number);
+        if (!free.length) {
+          toast('Sin mesas libres', 'No hay otra mesa libre y en servicio.');
+          return;
+        }
+        const choice = await askChoice({
+          title: `Mover la Mesa ${t.table}`,
+          message: 'El tiempo, los jugadores y el consumo pasan a la mesa elegida.',
+          choices: free.map(d => ({ value: String(d.number), label: `Mesa ${d.number}${d.name ? ` · ${d.name}` : ''}` })),
+        });
+        if (!choice) return;
+        to = Number(choice);
+      } else {
+        const raw = prompt(`Mover la Mesa ${t.table} a la mesa número:`, '');
+        if (raw == null || raw.trim() === '') return;
+        to = clampInt(raw, 1, 100);
+      }
+      if (to === t.table) return;
+      if (state.tables.some(x => x.active && x.table === to)) {
+        toast('Mesa ocupada', `La mesa ${to} ya está activa.`);
+        return;
+      }
+      t.moves = Array.isArray(t.moves) ? t.moves : [];
+      t.moves.push({ at: nowISO(), from: t.table, to });
+      const from = t.table;
+      t.table = to;
+      touch(t);
+      await saveState(state);
+      rerender();
+      toast('Mesa movida', `La sesión de la Mesa ${from} sigue en la Mesa ${to} (mismo tiempo y consumo).`);
+      return;
+    }
+
+    if (act === 'table-charge') {
+      rerender();
+      $id('saleTarget').value = String(t.id);
+      setSection('sales');
+      toast('Consumo', `Agrega productos al ticket y confirma para cargarlos a la Mesa ${t.table}.`);
+      return;
+    }
+
+    if (act === 'table-stop') {
+      const endAt = nowISO();
+      const bill = computeTableBill(state, t, new Date(endAt).getTime());
+      const lines = describeBillSegments(bill.segments);
+      if (bill.pausedMinutes) lines.push(`Pausas: ${bill.pausedMinutes} min sin cobro`);
+      if (bill.minApplied) lines.push(`Se aplica el cobro mínimo del plan (${formatMoney(sessionPlan(t).minCharge)})`);
+      lines.push(`Tiempo: ${formatMoney(bill.time)}`);
+      if (bill.consumption) lines.push(`Consumo: ${formatMoney(bill.consumption)}`);
+      lines.push(`Total: ${formatMoney(bill.total)}`);
+
+      const total = Number((Number(bill.time.toFixed(2)) + Number(bill.consumption.toFixed(2))).toFixed(2));
+
+      // Each player's time plus an equal share of the consumption, for split bills
+      const names = [...new Set(bill.segments.map(x => x.name))];
+      const payers = names.map(name => ({
+        name,
+        amount: Number((sum(bill.segments.filter(x => x.name === name).map(x => x.amount)) + bill.consumption / names.length).toFixed(2)),
+      })).filter(x => x.amount > 0);
+      if (payers.length) {
+        const drift = Number((total - sum(payers.map(x => x.amount))).toFixed(2));
+        payers[payers.length - 1].amount = Number((payers[payers.length - 1].amount + drift).toFixed(2));
+      }
+
+      const promos = applicablePromotions(state, 'table', {
+        lines: tableConsumption(state, t.id).flatMap(s => saleNet(s).lines),
+        time: Number(bill.time.toFixed(2)),
+        minutes: bill.minutes,
+      });
+
+      const paid = await askPayment({
+        title: `Finalizar Mesa ${t.table}`,
+        message: `${bill.minutes} min de juego.`,
+        lines,
+        total,
+        methods: state.business.paymentMethods,
+        customers: [...state.customers].sort((x, y) => x.name.localeCompare(y.name, 'es')),
+        promotions: promos.map(x => ({ id: x.promo.id, label: x.promo.name, discount: x.discount })),
+        payers,
+        confirmLabel: 'Cobrar y finalizar',
+      });
+      if (!paid) return;
+      const { promotionId, ...payment } = paid;
+      const applied = promos.find(x => x.promo.id === promotionId);
+
+      ensurePlayerLog(t);
+      for (const p of t.pauses) if (!p.endAt) p.endAt = endAt;
+      t.segments = bill.segments.map(x => ({ ...x, amount: Number(x.amount.toFixed(2)) }));
+      t.active = false;
+      t.endAt = endAt;
+      t.shiftId = openShift(state)?.id;
+      t.timeTotal = Number(bill.time.toFixed(2));
+      t.consumptionTotal = Number(bill.consumption.toFixed(2));
+      t.total = Number((t.timeTotal + t.consumptionTotal - (applied ? applied.discount : 0)).toFixed(2));
+      if (applied) Object.assign(t, { discount: applied.discount, discountOnConsumption: applied.onConsumption, promotionId: applied.promo.id, promotionName: applied.promo.name });
+      Object.assign(t, payment);
+      touch(t);
+
+      await saveState(state);
+      rerender();
+      const detail = (bill.consumption ? ` (tiempo ${formatMoney(t.timeTotal)} + consumo ${formatMoney(t.consumptionTotal)})` : '')
+        + (t.discount ? ` · ${t.promotionName} −${formatMoney(t.discount)}` : '');
+      toast('Mesa finalizada', `Mesa ${t.table} — Total ${formatMoney(t.total)}${detail}`, undoAction);
+      if (printer.autoShow) showReceipt(receiptFor(state, 'table', t));
+      return;
+    }
+  });
+
+  $id('tablePlan').addEventListener('change', () => {
+    /** @type {HTMLInputElement} */ ($id('tableRate')).disabled = !!$id('tablePlan').value;
+  });
+
+  // Rate plans
+  const resetRatePlanForm = () => {
+    $id('ratePlanId').value = '';
+    $id('ratePlanForm').reset();
   };
-  return rows.map(r => r.map(esc).join(',')).join('\n');
-}
 
-async function init() {
-  setupInstallButton();
-  void registerServiceWorker();
+  $id('ratePlanForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
 
-  /** @type {ReturnType<typeof emptyState>} */
-  let state = (await loadState()) || emptyState();
+    const id = Number($id('ratePlanId').value || 0);
+    const name = $id('ratePlanName').value.trim();
+    const weekdayRate = parseMoney($id('ratePlanWeekday').value);
+    const weekendRate = parseMoney($id('ratePlanWeekend').value) || weekdayRate;
+    const hhFrom = $id('ratePlanHappyFrom').value;
+    const hhTo = $id('ratePlanHappyTo').value;
+    const hhRate = parseMoney($id('ratePlanHappyRate').value);
+    const increment = clampInt($id('ratePlanIncrement').value, 1, 60);
+    const minCharge = Math.max(0, parseMoney($id('ratePlanMin').value));
+    const perTable = /** @type {HTMLInputElement} */ ($id('ratePlanPerTable')).checked;
 
-  // Ensure we have a stable device id (used for sync)
-  try { await ensureDeviceId(); } catch { /* ignore */ }
+    if (!name) {
+      toast('Falta dato', 'Escribe el nombre del plan.');
+      return;
+    }
+    if (!(weekdayRate > 0) || !(weekendRate > 0)) {
+      toast('Validación', 'Las tarifas deben ser mayores que 0.');
+      return;
+    }
+    if ((hhFrom || hhTo || hhRate) && !(hhFrom && hhTo && hhRate > 0)) {
+      toast('Validación', 'Para happy hour indica desde, hasta y la tarifa.');
+      return;
+    }
 
-  let stateChangedDuringInit = false;
+    const fields = {
+      name,
+      weekdayRate,
+      weekendRate,
+      happyHour: hhRate > 0 ? { from: hhFrom, to: hhTo, rate: hhRate } : null,
+      increment,
+      minCharge,
+      perTable,
+    };
 
-  // Legacy migration from the older monolithic HTML (productos/ventas/mesasActivas)
-  try {
-    const meta = await getMeta();
-    if (!meta.legacyBillarMigratedAt && isStateEmpty(state)) {
-      const res = migrateFromLegacyBillarLocalStorageIntoState(state);
-      if (res.migrated) {
-        state = res.state;
-        meta.legacyBillarMigratedAt = nowISO();
-        await setMeta(meta);
-        await saveState(state, { source: 'migracion' });
-        stateChangedDuringInit = true;
-        toast('Migración', 'Importé datos antiguos (localStorage) a la app actual.');
+    if (id) {
+      const plan = state.ratePlans.find(x => x.id === id);
+      if (!plan) {
+        toast('Error', 'Plan no encontrado para editar.');
+        return;
       }
+      Object.assign(plan, fields);
+      touch(plan);
+      toast('Actualizado', 'Plan de tarifa actualizado (las mesas en curso conservan su plan).');
+    } else {
+      state.ratePlans.push(touch(/** @type {RatePlan} */ ({ id: uuid(), ...fields })));
+      toast('Agregado', 'Plan de tarifa creado.');
     }
-  } catch {
-    // ignore migration errors
-  }
 
-  const wasEmptyBeforeSeed = isStateEmpty(state);
-  state = seedIfEmpty(state);
-  if (wasEmptyBeforeSeed && !isStateEmpty(state)) stateChangedDuringInit = true;
-  if (stateChangedDuringInit) {
-    await saveState(state, { source: 'init' });
-  }
+    resetRatePlanForm();
+    await saveState(state);
+    rerender();
+  });
 
-  // Automatic daily snapshot (keeps last MAX_SNAPSHOTS)
-  try { await ensureDailySnapshot(state); } catch { /* ignore */ }
+  $id('ratePlanCancel').addEventListener('click', resetRatePlanForm);
 
-  // Tabs
-  document.querySelectorAll('.tab').forEach(btn => {
-    btn.addEventListener('click', () => setSection(btn.getAttribute('data-target')));
-  });
+  $id('ratePlansTbody').addEventListener('click', async (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn) return;
+    const act = btn.getAttribute('data-act');
+    const id = Number(btn.getAttribute('data-id'));
+    const plan = state.ratePlans.find(x => x.id === id);
+    if (!plan) return;
+
+    if (act === 'plan-edit') {
+      $id('ratePlanId').value = String(plan.id);
+      $id('ratePlanName').value = plan.name;
+      $id('ratePlanWeekday').value = String(plan.weekdayRate);
+      $id('ratePlanWeekend').value = String(plan.weekendRate);
+      $id('ratePlanHappyFrom').value = plan.happyHour?.from || '';
+      $id('ratePlanHappyTo').value = plan.happyHour?.to || '';
+      $id('ratePlanHappyRate').value = plan.happyHour ? String(plan.happyHour.rate) : '';
+      $id('ratePlanIncrement').value = String(plan.increment);
+      $id('ratePlanMin').value = String(plan.minCharge || 0);
+      /** @type {HTMLInputElement} */ ($id('ratePlanPerTable')).checked = !!plan.perTable;
+      toast('Editar', 'Modifica y guarda el plan.');
+      return;
+    }
 
-  // Top actions
-  $id('btnExport').addEventListener('click', () => {
-    const data = JSON.stringify(state, null, 2);
-    downloadText('ms_finanzas_backup.json', data, 'application/json');
-    toast('Exportado', 'Backup descargado como JSON.');
+    if (act === 'plan-del') {
+      if (!confirm(`¿Eliminar el plan "${plan.name}"? Las mesas en curso conservan su tarifa.`)) return;
+      removeRecord(state, 'ratePlans', id);
+      await saveState(state);
+      rerender();
+      toast('Eliminado', 'Plan de tarifa eliminado.', undoAction);
+    }
   });
 
-  $id('fileImport').addEventListener('change', async (e) => {
-    const input = /** @type {HTMLInputElement} */ (e.currentTarget);
-    const file = input.files && input.files[0];
-    input.value = '';
-    if (!file) return;
+  // Cash drawer shifts
+  const denomsBox = $id('shiftDenoms');
+  for (const d of CASH_DENOMINATIONS) {
+    const field = document.createElement('div');
+    field.className = 'field denom';
+    field.innerHTML = `
+      <label for="denom-${d}">${formatMoney(d)}</label>
+      <input id="denom-${d}" type="number" min="0" step="1" inputmode="numeric" data-denom="${d}" placeholder="0" />
+    `;
+    denomsBox.appendChild(field);
+  }
 
-    try {
-      const text = await file.text();
-      const parsed = JSON.parse(text);
-      if (!parsed || typeof parsed !== 'object') throw new Error('Formato inválido');
+  const readDenoms = () => {
+    /** @type {Object<string,number>} */
+    const denoms = {};
+    denomsBox.querySelectorAll('input[data-denom]').forEach(input => {
+      const n = clampInt(/** @type {HTMLInputElement} */ (input).value || 0, 0, 1_000_000);
+      if (n) denoms[input.getAttribute('data-denom')] = n;
+    });
+    return denoms;
+  };
 
-      // Basic shape check
-      if (!Array.isArray(parsed.products) || !Array.isArray(parsed.sales) || !Array.isArray(parsed.expenses) || !Array.isArray(parsed.tables)) {
-        throw new Error('El backup no contiene la estructura esperada.');
-      }
+  denomsBox.addEventListener('input', () => {
+    $id('shiftCountedTotal').textContent = formatMoney(countedCash(readDenoms()));
+  });
 
-      state = parsed;
-      await saveState(state);
-      rerender();
-      toast('Importado', 'Datos restaurados desde backup.');
-    } catch (err) {
-      toast('Error', `No se pudo importar: ${err?.message || err}`);
+  $id('shiftOpenForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const cashier = $id('shiftCashier').value.trim();
+    const openingFloat = parseMoney($id('shiftFloat').value);
+
+    if (openShift(state)) {
+      toast('Caja abierta', 'Ya hay un turno abierto; ciérralo primero.');
+      return;
+    }
+    if (!cashier) {
+      toast('Falta dato', 'Escribe el nombre del cajero.');
+      return;
+    }
+    if (openingFloat < 0) {
+      toast('Validación', 'El fondo inicial no puede ser negativo.');
+      return;
     }
-  });
 
-  $id('btnImport').addEventListener('click', () => $id('fileImport').click());
+    /** @type {Shift} */
+    const shift = { id: uuid(), openedAt: nowISO(), cashier, openingFloat };
+    state.shifts.push(touch(shift));
+    $id('shiftOpenForm').reset();
 
-  $id('btnClear').addEventListener('click', async () => {
-    if (!confirm('¿Eliminar TODOS los datos locales de esta app?')) return;
-    state = emptyState();
-    await idbClearAll();
-    // Also clear any legacy remnants
-    try { localStorage.removeItem(LEGACY_STORAGE_KEY); } catch { /* ignore */ }
-    await saveState(state, { source: 'clear' });
+    await saveState(state);
     rerender();
-    toast('Listo', 'Datos eliminados.');
+    toast('Caja abierta', `${cashier} — fondo inicial ${formatMoney(openingFloat)}`);
   });
 
-  // Snapshots / maintenance
-  const btnSnapshotNow = document.getElementById('btnSnapshotNow');
-  if (btnSnapshotNow) {
-    btnSnapshotNow.addEventListener('click', async () => {
-      await createSnapshot(state, 'manual');
-      void renderSnapshotsUI();
-      toast('Respaldo', 'Respaldo creado y guardado localmente.');
+  $id('shiftCloseForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const shift = openShift(state);
+    if (!shift) return;
+
+    const denoms = readDenoms();
+    const counted = countedCash(denoms);
+    const c = shiftCashSummary(state, shift);
+    const difference = Number((counted - c.expected).toFixed(2));
+    const running = state.tables.filter(t => t.active).length;
+
+    const lines = [
+      `Fondo inicial: ${formatMoney(shift.openingFloat)}`,
+      `Ventas en efectivo: ${formatMoney(c.salesCash)}`,
+      `Mesas en efectivo: ${formatMoney(c.tablesCash)}`,
+      `Abonos de clientes en efectivo: ${formatMoney(c.collectionsCash)}`,
+      `Anulaciones y devoluciones en efectivo: −${formatMoney(c.refundsCash)}`,
+      `Gastos de caja: −${formatMoney(c.expensesTotal)}`,
+      `Esperado: ${formatMoney(c.expected)}`,
+      `Contado: ${formatMoney(counted)}`,
+      `Diferencia: ${difference > 0 ? '+' : ''}${formatMoney(difference)}${difference < 0 ? ' (faltante)' : difference > 0 ? ' (sobrante)' : ''}`,
+    ];
+    if (running) lines.push(`Hay ${running} mesa(s) en juego: se cobrarán en el siguiente turno.`);
+
+    const choice = await askChoice({
+      title: 'Cerrar caja',
+      message: `Turno de ${shift.cashier}, abierto el ${formatDateTime(shift.openedAt)}`,
+      lines,
+      choices: [{ value: 'close', label: 'Cerrar caja', className: 'warn' }],
     });
-  }
+    if (choice !== 'close') return;
+
+    const notes = $id('shiftNotes').value.trim();
+    Object.assign(shift, {
+      closedAt: nowISO(),
+      counted: { denoms, total: counted },
+      expected: c.expected,
+      difference,
+      notes: notes || undefined,
+    });
+    touch(shift);
+    $id('shiftCloseForm').reset();
+    $id('shiftCountedTotal').textContent = formatMoney(0);
 
-  const btnMigrateLegacy = document.getElementById('btnMigrateLegacy');
-  if (btnMigrateLegacy) {
-    btnMigrateLegacy.addEventListener('click', async () => {
-      if (!confirm('¿Intentar importar datos antiguos desde localStorage (productos/ventas/mesasActivas)? Solo se importará si la app está vacía.')) return;
-      if (!isStateEmpty(state)) {
-        toast('No aplicado', 'Tu app ya tiene datos; no importé para evitar mezclar. Exporta y borra todo si deseas migrar.');
-        return;
-      }
+    await saveState(state);
+    rerender();
+    toast('Caja cerrada', `Esperado ${formatMoney(c.expected)} · Contado ${formatMoney(counted)} · Diferencia ${formatMoney(difference)}`);
+  });
 
-      const res = migrateFromLegacyBillarLocalStorageIntoState(state);
-      if (!res.migrated) {
-        toast('Sin datos', 'No encontré datos antiguos para importar.');
+  $id('btnExportShifts').addEventListener('click', () => {
+    const closed = state.shifts.filter(x => x.closedAt).sort((a, b) => a.openedAt.localeCompare(b.openedAt));
+    if (!closed.length) {
+      toast('Sin datos', 'Aún no hay turnos cerrados.');
+      return;
+    }
+    const rows = [
+      ['apertura', 'cierre', 'cajero', 'fondo', 'ventas_efectivo', 'mesas_efectivo', 'abonos_efectivo', 'devoluciones_efectivo', 'gastos_caja', 'esperado', 'contado', 'diferencia', 'otros_medios', 'conteo', 'notas'],
+      ...closed.map(x => {
+        const c = shiftCashSummary(state, x);
+        const count = Object.entries(x.counted?.denoms || {}).map(([d, n]) => `${d}x${n}`).join(' ');
+        const other = [...c.nonCash].map(([m, v]) => `${paymentMethodLabel(state, m)} ${v}`).join('; ');
+        return [x.openedAt, x.closedAt, x.cashier, String(x.openingFloat), String(c.salesCash), String(c.tablesCash), String(c.collectionsCash), String(c.refundsCash), String(c.expensesTotal),
+          String(x.expected ?? ''), String(x.counted?.total ?? ''), String(x.difference ?? ''), other, count, x.notes || ''];
+      }),
+    ];
+    downloadText('ms_finanzas_turnos_caja.csv', toCSV(rows), 'text/csv');
+    toast('Exportado', 'Historial de caja descargado.');
+  });
+
+  // Customers and account payments
+  /** @type {number|null} */
+  let ledgerCustomerId = null;
+
+  const resetCustomerForm = () => {
+    $id('customerId').value = '';
+    $id('customerForm').reset();
+  };
+
+  $id('customerForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const id = Number($id('customerId').value || 0);
+    const name = $id('customerName').value.trim();
+    const phone = $id('customerPhone').value.trim();
+    const notes = $id('customerNotes').value.trim();
+
+    if (!name) {
+      toast('Falta dato', 'Escribe el nombre del cliente.');
+      return;
+    }
+    if (state.customers.some(c => c.id !== id && normalizeName(c.name) === normalizeName(name))) {
+      toast('Validación', `Ya existe un cliente llamado “${name}”.`);
+      return;
+    }
+
+    const fields = { name, phone: phone || undefined, notes: notes || undefined };
+    if (id) {
+      const c = state.customers.find(x => x.id === id);
+      if (!c) {
+        toast('Error', 'Cliente no encontrado para editar.');
         return;
       }
+      Object.assign(c, fields);
+      touch(c);
+      toast('Actualizado', `Cliente ${name} actualizado.`);
+    } else {
+      state.customers.push(touch(/** @type {Customer} */ ({ id: uuid(), ...fields })));
+      toast('Agregado', `Cliente ${name} registrado.`);
+    }
 
-      state = res.state;
-      await saveState(state, { source: 'migracion-manual' });
-      const meta = await getMeta();
-      meta.legacyBillarMigratedAt = nowISO();
-      await setMeta(meta);
-      try { await ensureDailySnapshot(state); } catch { /* ignore */ }
+    resetCustomerForm();
+    await saveState(state);
+    rerender();
+  });
+
+  $id('customerCancel').addEventListener('click', resetCustomerForm);
+
+  $id('customersTbody').addEventListener('click', async (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn) return;
+    const act = btn.getAttribute('data-act');
+    const c = state.customers.find(x => x.id === Number(btn.getAttribute('data-id')));
+    if (!c) return;
+
+    if (act === 'cust-ledger') {
+      ledgerCustomerId = c.id;
       rerender();
-      void renderSnapshotsUI();
-      toast('Migración', 'Datos antiguos importados correctamente.');
-    });
-  }
+      return;
+    }
 
-  const snapshotList = document.getElementById('snapshotList');
-  if (snapshotList) {
-    snapshotList.addEventListener('click', async (e) => {
-      const btn = /** @type {HTMLElement} */ (e.target).closest('button');
-      if (!btn) return;
-      const act = btn.getAttribute('data-act');
-      const id = btn.getAttribute('data-id');
-      if (!act || !id) return;
+    if (act === 'cust-pay') {
+      $id('customerPaymentCustomer').value = String(c.id);
+      const balance = customerAging(state, c.id).balance;
+      $id('customerPaymentAmount').value = balance > 0 ? balance.toFixed(2) : '';
+      $id('customerPaymentAmount').focus();
+      return;
+    }
 
-      if (act === 'restore') {
-        if (!confirm('¿Restaurar este respaldo? Esto reemplaza los datos actuales.')) return;
-        const snap = await idbGet(IDB_SNAPSHOT_PREFIX + id);
-        if (!snap?.state) {
-          toast('Error', 'Respaldo no encontrado.');
-          return;
-        }
-        state = snap.state;
-        await saveState(state, { source: 'snapshot-restore' });
-        rerender();
-        toast('Restaurado', 'Datos restaurados desde respaldo.');
+    if (act === 'cust-edit') {
+      $id('customerId').value = String(c.id);
+      $id('customerName').value = c.name;
+      $id('customerPhone').value = c.phone || '';
+      $id('customerNotes').value = c.notes || '';
+      toast('Editar', 'Modifica y guarda el cliente.');
+      return;
+    }
+
+    if (act === 'cust-del') {
+      const balance = customerAging(state, c.id).balance;
+      if (Math.abs(balance) >= 0.005) {
+        toast('Saldo pendiente', `${c.name} tiene saldo ${formatMoney(balance)}; liquídalo antes de eliminarlo.`);
         return;
       }
+      if (!confirm(`¿Eliminar al cliente ${c.name}?`)) return;
+      removeRecord(state, 'customers', c.id);
+      if (ledgerCustomerId === c.id) ledgerCustomerId = null;
+      await saveState(state);
+      rerender();
+      toast('Eliminado', 'Cliente eliminado.', undoAction);
+    }
+  });
 
-      if (act === 'download') {
-        const snap = await idbGet(IDB_SNAPSHOT_PREFIX + id);
-        if (!snap?.state) {
-          toast('Error', 'Respaldo no encontrado.');
-          return;
-        }
-        const data = JSON.stringify(snap.state, null, 2);
-        downloadText(`ms_finanzas_snapshot_${id.replaceAll(':', '-')}.json`, data, 'application/json');
-        toast('Descargado', 'Respaldo descargado como JSON.');
-      }
-    });
-  }
+  $id('customerPaymentForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const customerId = Number($id('customerPaymentCustomer').value || 0);
+    const amount = Number(parseMoney($id('customerPaymentAmount').value).toFixed(2));
+    const method = $id('customerPaymentMethod').value || CASH_METHOD;
+    const notes = $id('customerPaymentNotes').value.trim();
+    const c = state.customers.find(x => x.id === customerId);
+
+    if (!c) {
+      toast('Falta dato', 'Selecciona el cliente.');
+      return;
+    }
+    if (!(amount > 0)) {
+      toast('Validación', 'Monto debe ser mayor que 0.');
+      return;
+    }
 
-  // Products interactions
-  $id('productsFilter').addEventListener('change', () => renderProducts(state));
-  $id('productsSearch').addEventListener('input', () => renderProducts(state));
+    /** @type {CustomerPayment} */
+    const payment = { id: uuid(), customerId, at: nowISO(), amount, method, notes: notes || undefined, shiftId: openShift(state)?.id };
+    state.customerPayments.push(touch(payment));
+    $id('customerPaymentForm').reset();
+    ledgerCustomerId = customerId;
+
+    await saveState(state);
+    rerender();
+    toast('Abono registrado', `${c.name} — ${formatMoney(amount)}. Saldo ${formatMoney(customerAging(state, customerId).balance)}`);
+  });
+
+  // Payment methods
+  $id('paymentMethodForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const label = $id('paymentMethodName').value.trim();
+    const slug = normalizeName(label).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    if (!slug) {
+      toast('Falta dato', 'Escribe el nombre del método de pago.');
+      return;
+    }
+    if (state.business.paymentMethods.some(m => m.id === slug || normalizeName(m.label) === normalizeName(label))) {
+      toast('Validación', `“${label}” ya existe.`);
+      return;
+    }
+    // "Cuenta" or "Efectivo" typed by hand must not take the ids the app gives a meaning to
+    let id = slug;
+    for (let n = 2; [ACCOUNT_METHOD, CASH_METHOD].includes(id) || state.business.paymentMethods.some(m => m.id === id); n += 1) id = `${slug}-${n}`;
+
+    state.business.paymentMethods.push({ id, label });
+    touch(state.business);
+    $id('paymentMethodForm').reset();
+    await saveState(state);
+    rerender();
+    toast('Agregado', `Método de pago “${label}”.`);
+  });
+
+  $id('paymentMethodsList').addEventListener('click', async (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn || btn.getAttribute('data-act') !== 'method-del') return;
+    const id = btn.getAttribute('data-id');
+    if (id === CASH_METHOD) return;
+    if (!confirm(`¿Quitar “${paymentMethodLabel(state, id)}”? Los cobros ya registrados lo conservan.`)) return;
+    state.business.paymentMethods = state.business.paymentMethods.filter(m => m.id !== id);
+    touch(state.business);
+    await saveState(state);
+    rerender();
+    toast('Quitado', 'Método de pago quitado.');
+  });
+
+  // Promotions
+  /** One product + quantity row of a combo; a combo can bundle several products. */
+  const addComboRow = (productId = 0, qty = 1) => {
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.innerHTML = `
+      <select aria-label="Producto del combo">
+        <option value="">Seleccione un producto</option>
+        ${[...state.products].sort((a, b) => a.name.localeCompare(b.name, 'es')).map(p => `<option value="${p.id}"${p.id === productId ? ' selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+      </select>
+      <input type="number" min="1" step="1" value="${qty}" aria-label="Unidades" />
+      <button class="btn danger" type="button" data-act="combo-del">Quitar</button>
+    `;
+    $id('promoComboItems').appendChild(row);
+  };
+
+  const resetPromoForm = () => {
+    $id('promoId').value = '';
+    $id('promoForm').reset();
+    $id('promoComboItems').innerHTML = '';
+  };
+
+  $id('promoComboAdd').addEventListener('click', () => addComboRow());
+
+  $id('promoComboItems').addEventListener('click', (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (btn && btn.getAttribute('data-act') === 'combo-del') btn.closest('.row').remove();
+  });
 
-  $id('productForm').addEventListener('submit', (e) => {
+  $id('promoForm').addEventListener('submit', async (e) => {
     e.preventDefault();
 
-    const id = Number($id('productId').value || 0);
-    const name = $id('productName').value.trim();
-    const category = $id('productCategory').value;
-    const cost = parseMoney($id('productCost').value);
-    const price = parseMoney($id('productPrice').value);
-    const stock = clampInt($id('productStock').value, 0, 1_000_000);
-    const stockMin = clampInt($id('productStockMin').value, 0, 1_000_000);
+    const id = Number($id('promoId').value || 0);
+    const name = $id('promoName').value.trim();
+    const kind = /** @type {Promotion['kind']} */ ($id('promoKind').value);
+    const scope = /** @type {Promotion['scope']} */ ($id('promoScope').value);
+    const value = parseMoney($id('promoValue').value);
+    const productId = Number($id('promoProduct').value || 0) || undefined;
+    const buy = clampInt($id('promoBuy').value || 0, 0, 100);
+    const pay = clampInt($id('promoPay').value || 0, 0, 100);
+    const comboItems = [...$id('promoComboItems').querySelectorAll('.row')].map(row => ({
+      productId: Number(/** @type {HTMLSelectElement} */ (row.querySelector('select')).value || 0),
+      qty: clampInt(/** @type {HTMLInputElement} */ (row.querySelector('input')).value, 0, 100),
+    }));
+    const tableMinutes = clampInt($id('promoComboMinutes').value || 0, 0, 1440);
+    const days = [...document.querySelectorAll('#promoDays input:checked')].map(x => Number(/** @type {HTMLInputElement} */ (x).value));
+    const from = $id('promoFrom').value;
+    const to = $id('promoTo').value;
+    const validFrom = $id('promoValidFrom').value;
+    const validTo = $id('promoValidTo').value;
+    const enabled = /** @type {HTMLInputElement} */ ($id('promoEnabled')).checked;
 
     if (!name) {
-      toast('Falta dato', 'Escribe el nombre del producto.');
+      toast('Falta dato', 'Escribe el nombre de la promoción.');
       return;
     }
-    if (!(cost >= 0) || !(price >= 0) || price < cost) {
-      toast('Validación', 'El precio debe ser >= costo (y ambos válidos).');
+    if (kind === 'percent' && !(value > 0 && value <= 100)) {
+      toast('Validación', 'El porcentaje debe estar entre 1 y 100.');
+      return;
+    }
+    if ((kind === 'fixed' || kind === 'combo') && !(value > 0)) {
+      toast('Validación', kind === 'combo' ? 'Indica el precio del combo.' : 'El descuento debe ser mayor que 0.');
+      return;
+    }
+    if (kind === 'nxm' && !(productId && pay >= 1 && buy > pay)) {
+      toast('Validación', 'Para “Lleva N paga M” elige el producto y que N sea mayor que M (ej: 2x1).');
+      return;
+    }
+    if (kind === 'combo' && comboItems.some(i => !i.productId || i.qty < 1)) {
+      toast('Validación', 'Cada producto del combo necesita producto y cantidad (al menos 1).');
+      return;
+    }
+    if (kind === 'combo' && new Set(comboItems.map(i => i.productId)).size !== comboItems.length) {
+      toast('Validación', 'Un producto aparece dos veces en el combo: suma las unidades en una sola fila.');
+      return;
+    }
+    if (kind === 'combo' && !comboItems.length && !tableMinutes) {
+      toast('Validación', 'El combo debe incluir productos, minutos de mesa o ambos.');
+      return;
+    }
+    if (kind === 'combo' && tableMinutes > 0 && scope === 'sale') {
+      toast('Validación', 'Un combo con tiempo de mesa solo puede aplicarse al finalizar mesas.');
+      return;
+    }
+    if ((from || to) && !(from && to)) {
+      toast('Validación', 'Para limitar el horario indica desde y hasta.');
+      return;
+    }
+    if (validFrom && validTo && validFrom > validTo) {
+      toast('Validación', 'La vigencia termina antes de empezar.');
       return;
     }
 
+    const fields = {
+      name,
+      kind,
+      scope,
+      value: kind === 'nxm' ? 0 : value,
+      productId: kind === 'combo' ? undefined : productId,
+      buy: kind === 'nxm' ? buy : undefined,
+      pay: kind === 'nxm' ? pay : undefined,
+      combo: kind === 'combo' ? { items: comboItems, tableMinutes } : undefined,
+      days: days.length && days.length < 7 ? days : undefined,
+      from: from || undefined,
+      to: to || undefined,
+      validFrom: validFrom || undefined,
+      validTo: validTo || undefined,
+      enabled,
+    };
+
     if (id) {
-      const p = state.products.find(x => x.id === id);
-      if (!p) {
-        toast('Error', 'Producto no encontrado para editar.');
+      const promo = state.promotions.find(x => x.id === id);
+      if (!promo) {
+        toast('Error', 'Promoción no encontrada para editar.');
         return;
       }
-      p.name = name;
-      p.category = category;
-      p.cost = cost;
-      p.price = price;
-      p.stock = stock;
-      p.stockMin = stockMin;
-      toast('Actualizado', 'Producto actualizado.');
+      Object.assign(promo, fields);
+      touch(promo);
+      toast('Actualizado', `Promoción “${name}” actualizada.`);
     } else {
-      const newP = /** @type {Product} */ ({
-        id: uuid(),
-        name,
-        category,
-        cost,
-        price,
-        stock,
-        stockMin,
-      });
-      state.products.push(newP);
-      toast('Agregado', 'Producto creado.');
+      state.promotions.push(touch(/** @type {Promotion} */ ({ id: uuid(), ...fields })));
+      toast('Agregado', `Promoción “${name}” creada.`);
     }
 
-    // Reset form
-    $id('productId').value = '';
-    $id('productForm').reset();
-
-    void saveState(state);
+    resetPromoForm();
+    await saveState(state);
     rerender();
   });
 
-  $id('productCancel').addEventListener('click', () => {
-    $id('productId').value = '';
-    $id('productForm').reset();
-    toast('Listo', 'Edición cancelada.');
-  });
+  $id('promoCancel').addEventListener('click', resetPromoForm);
 
-  $id('productsTbody').addEventListener('click', (e) => {
+  $id('promotionsTbody').addEventListener('click', async (e) => {
     const btn = /** @type {HTMLElement} */ (e.target).closest('button');
     if (!btn) return;
     const act = btn.getAttribute('data-act');
-    const id = Number(btn.getAttribute('data-id'));
-
-    if (act === 'edit') {
-      const p = state.products.find(x => x.id === id);
-      if (!p) return;
-      $id('productId').value = String(p.id);
-      $id('productName').value = p.name;
-      $id('productCategory').value = p.category;
-      $id('productCost').value = String(p.cost);
-      $id('productPrice').value = String(p.price);
-      $id('productStock').value = String(p.stock);
-      $id('productStockMin').value = String(p.stockMin);
-      setSection('inventory');
-      toast('Editar', 'Modifica y guarda los cambios.');
+    const promo = state.promotions.find(x => x.id === Number(btn.getAttribute('data-id')));
+    if (!promo) return;
+
+    if (act === 'promo-edit') {
+      $id('promoId').value = String(promo.id);
+      $id('promoName').value = promo.name;
+      $id('promoKind').value = promo.kind;
+      $id('promoScope').value = promo.scope;
+      $id('promoValue').value = promo.value ? String(promo.value) : '';
+      $id('promoProduct').value = promo.productId ? String(promo.productId) : '';
+      $id('promoBuy').value = promo.buy ? String(promo.buy) : '';
+      $id('promoPay').value = promo.pay ? String(promo.pay) : '';
+      $id('promoComboItems').innerHTML = '';
+      for (const item of promo.combo?.items || []) addComboRow(item.productId, item.qty);
+      $id('promoComboMinutes').value = promo.combo?.tableMinutes ? String(promo.combo.tableMinutes) : '';
+      document.querySelectorAll('#promoDays input').forEach(x => {
+        const input = /** @type {HTMLInputElement} */ (x);
+        input.checked = !promo.days || promo.days.includes(Number(input.value));
+      });
+      $id('promoFrom').value = promo.from || '';
+      $id('promoTo').value = promo.to || '';
+      $id('promoValidFrom').value = promo.validFrom || '';
+      $id('promoValidTo').value = promo.validTo || '';
+      /** @type {HTMLInputElement} */ ($id('promoEnabled')).checked = !!promo.enabled;
+      toast('Editar', 'Modifica y guarda la promoción.');
       return;
     }
 
-    if (act === 'del') {
-      const p = state.products.find(x => x.id === id);
-      if (!p) return;
-      if (!confirm(`¿Eliminar "${p.name}"?`)) return;
-      state.products = state.products.filter(x => x.id !== id);
-      // Keep sales history but product link may show “eliminado”
-      void saveState(state);
+    if (act === 'promo-del') {
+      if (!confirm(`¿Eliminar la promoción “${promo.name}”? Las ventas donde se aplicó conservan su descuento.`)) return;
+      removeRecord(state, 'promotions', promo.id);
+      await saveState(state);
       rerender();
-      toast('Eliminado', 'Producto eliminado.');
+      toast('Eliminado', 'Promoción eliminada.', undoAction);
     }
   });
 
-  // Sales
-  $id('saleForm').addEventListener('submit', async (e) => {
-    e.preventDefault();
+  // Table registry
+  const resetTableDefForm = () => {
+    $id('tableDefId').value = '';
+    $id('tableDefForm').reset();
+  };
 
-    const productId = Number($id('saleProduct').value || 0);
-    const qty = clampInt($id('saleQty').value, 1, 1_000_000);
-    const notes = $id('saleNotes').value.trim();
+  $id('tableDefForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
 
-    const p = state.products.find(x => x.id === productId);
-    if (!p) {
-      toast('Falta dato', 'Selecciona un producto.');
-      return;
-    }
+    const id = Number($id('tableDefId').value || 0);
+    const number = clampInt($id('tableDefNumber').value, 1, 100);
+    const name = $id('tableDefName').value.trim();
+    const type = $id('tableDefType').value;
+    const planId = Number($id('tableDefPlan').value || 0);
+    const enabled = /** @type {HTMLInputElement} */ ($id('tableDefEnabled')).checked;
 
-    if (p.stock < qty) {
-      toast('Stock insuficiente', `Solo hay ${p.stock} unidades disponibles.`);
+    if (state.tableDefs.some(d => d.number === number && d.id !== id)) {
+      toast('Validación', `La mesa ${number} ya está registrada.`);
       return;
     }
 
-    const total = qty * p.price;
-    const profit = qty * (p.price - p.cost);
-
-    /** @type {Sale} */
-    const sale = {
-      id: uuid(),
-      at: nowISO(),
-      productId: p.id,
-      qty,
-      unitPrice: p.price,
-      unitCost: p.cost,
-      total,
-      profit,
-      notes: notes || undefined,
-    };
+    const fields = { number, name: name || undefined, type, planId: planId || undefined, enabled };
 
-    state.sales.push(sale);
-    p.stock -= qty;
-
-    $id('saleForm').reset();
+    if (id) {
+      const def = state.tableDefs.find(d => d.id === id);
+      if (!def) {
+        toast('Error', 'Mesa no encontrada para editar.');
+        return;
+      }
+      if (def.number !== number && state.tables.some(t => t.active && t.table === def.number)) {
+        toast('Mesa activa', `Finaliza o mueve la sesión de la mesa ${def.number} antes de cambiar su número.`);
+        return;
+      }
+      Object.assign(def, fields);
+      touch(def);
+      toast('Actualizado', `Mesa ${number} actualizada.`);
+    } else {
+      state.tableDefs.push(touch(/** @type {TableDef} */ ({ id: uuid(), ...fields })));
+      toast('Agregado', `Mesa ${number} registrada.`);
+    }
 
+    resetTableDefForm();
     await saveState(state);
     rerender();
-    toast('Venta registrada', `${qty} x ${p.name} — Total ${formatMoney(total)}`);
   });
 
-  $id('salesTbody').addEventListener('click', async (e) => {
+  $id('tableDefCancel').addEventListener('click', resetTableDefForm);
+
+  $id('tableDefsTbody').addEventListener('click', async (e) => {
     const btn = /** @type {HTMLElement} */ (e.target).closest('button');
     if (!btn) return;
-    if (btn.getAttribute('data-act') !== 'sale-del') return;
+    const act = btn.getAttribute('data-act');
     const id = Number(btn.getAttribute('data-id'));
-    const sale = state.sales.find(s => s.id === id);
-    if (!sale) return;
-    if (!confirm('¿Eliminar esta venta? (No repone stock automáticamente)')) return;
-    state.sales = state.sales.filter(s => s.id !== id);
-    await saveState(state);
-    rerender();
-    toast('Eliminada', 'Venta eliminada.');
+    const def = state.tableDefs.find(d => d.id === id);
+    if (!def) return;
+
+    if (act === 'def-edit') {
+      $id('tableDefId').value = String(def.id);
+      $id('tableDefNumber').value = String(def.number);
+      $id('tableDefName').value = def.name || '';
+      $id('tableDefType').value = def.type;
+      $id('tableDefPlan').value = def.planId ? String(def.planId) : '';
+      /** @type {HTMLInputElement} */ ($id('tableDefEnabled')).checked = !!def.enabled;
+      toast('Editar', 'Modifica y guarda la mesa.');
+      return;
+    }
+
+    if (act === 'def-del') {
+      if (!confirm(`¿Eliminar la mesa ${def.number} del registro? El historial de sesiones se conserva.`)) return;
+      removeRecord(state, 'tableDefs', id);
+      await saveState(state);
+      rerender();
+      toast('Eliminado', 'Mesa eliminada del registro.', undoAction);
+    }
   });
 
-  // Expenses
-  $id('expenseForm').addEventListener('submit', async (e) => {
-    e.preventDefault();
-    const type = $id('expenseType').value;
-    const amount = parseMoney($id('expenseAmount').value);
-    const description = $id('expenseDescription').value.trim();
+  // Keep elapsed time and running totals live
+  window.setInterval(() => {
+    renderTablesGrid(state);
+    renderTables(state);
+  }, 30000);
 
-    if (!type) {
-      toast('Falta dato', 'Selecciona el tipo de gasto.');
+  // Product performance
+  for (const id of ['perfDays', 'perfDeadDays', 'perfTargetMargin', 'perfSort', 'perfShow']) {
+    $id(id).addEventListener('change', () => renderProductPerformance(state));
+  }
+  $id('btnPerfCsv').addEventListener('click', () => {
+    const { days, rows } = productPerformanceReport(state);
+    downloadText(`ms_finanzas_productos_${days}d.csv`, toCSV([
+      ['producto', 'categoria', 'vendidas', 'ingresos', 'ganancia', 'margen_pct', 'unidades_por_dia', 'dias_de_stock', 'ultima_venta', 'sin_movimiento', 'margen_bajo'],
+      ...rows.map(r => [
+        r.product.name, r.product.category, String(r.units), String(r.revenue), String(r.profit), r.marginPct.toFixed(1),
+        r.velocity.toFixed(2), r.daysOfStock === null ? '' : String(Math.floor(r.daysOfStock)), r.lastSaleAt || '',
+        r.dead ? 'si' : 'no', r.lowMargin ? 'si' : 'no',
+      ]),
+    ]), 'text/csv');
+    toast('Exportado', 'Rendimiento de productos descargado.');
+  });
+
+  // Reorder planner
+  for (const id of ['reorderSalesDays', 'reorderCoverDays', 'reorderSafetyDays']) {
+    $id(id).addEventListener('change', () => renderReorderPlan(state));
+  }
+
+  $id('reorderGroups').addEventListener('click', async (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('button');
+    if (!btn) return;
+    const group = reorderPlanFromForm(state)[Number(btn.getAttribute('data-index'))];
+    if (!group) return;
+
+    if (btn.getAttribute('data-act') === 'reorder-send') {
+      try {
+        const how = await shareText('Pedido', reorderText(state, group), group.supplier?.phone);
+        if (how === 'clipboard') toast('Copiado', 'El pedido quedó en el portapapeles para pegarlo al proveedor.');
+      } catch {
+        downloadText(`pedido_${dateInputValue(new Date())}.txt`, reorderText(state, group));
+        toast('Pedido', 'No se pudo compartir; se descargó como texto.');
+      }
       return;
     }
-    if (!(amount > 0)) {
-      toast('Validación', 'Monto debe ser mayor que 0.');
-      return;
+
+    if (btn.getAttribute('data-act') === 'reorder-receive') {
+      if (receipt.length && !confirm('La recepción actual tiene productos. ¿Reemplazarla por este pedido?')) return;
+      receipt = group.lines.map(l => ({ productId: l.product.id, qty: l.qty, unitCost: l.product.cost }));
+      $id('receiveSupplier').value = group.supplier ? String(group.supplier.id) : '';
+      renderReceiving(state, receipt);
+      toast('Recepción', 'Pedido cargado en “Recibir mercadería”: ajusta cantidades y costos al recibir.');
     }
+  });
 
-    /** @type {Expense} */
-    const exp = { id: uuid(), at: nowISO(), type, amount, description: description || undefined };
-    state.expenses.push(exp);
-    $id('expenseForm').reset();
+  $id('btnReorderPrint').addEventListener('click', () => {
+    const groups = reorderPlanFromForm(state);
+    printHtml('Lista de compras', `
+      <h1>${escapeHtml(state.business?.name || 'M&S - Control Finanzas')} — Lista de compras</h1>
+      <div class="small">Cobertura ${escapeHtml($id('reorderCoverDays').value)} días + seguridad ${escapeHtml($id('reorderSafetyDays').value)} días · impreso ${escapeHtml(formatDateTime(nowISO()))}</div>
+      ${groups.map(g => `
+        <table>
+          <thead><tr><th>${escapeHtml(g.supplier ? g.supplier.name : 'Sin proveedor asignado')}${g.supplier?.phone ? ` · ${escapeHtml(g.supplier.phone)}` : ''}</th><th class="num">Stock</th><th class="num">Pedir</th><th class="num">Costo</th></tr></thead>
+          <tbody>
+            ${g.lines.map(l => `<tr><td>${escapeHtml(l.product.name)}</td><td class="num">${l.product.stock}</td><td class="num">${l.qty}</td><td class="num">${formatMoney(l.total)}</td></tr>`).join('')}
+            <tr class="strong"><td>Total</td><td></td><td class="num">${sum(g.lines.map(l => l.qty))}</td><td class="num">${formatMoney(g.total)}</td></tr>
+          </tbody>
+        </table>`).join('')}
+    `);
+  });
 
-    await saveState(state);
-    rerender();
-    toast('Gasto registrado', `${type} — ${formatMoney(amount)}`);
+  // Table utilization
+  for (const id of ['utilPreset', 'utilOpen', 'utilClose']) {
+    $id(id).addEventListener('change', () => renderUtilization(state));
+  }
+  $id('btnUtilCsv').addEventListener('click', () => {
+    const { preset, report } = utilizationFromForm(state);
+    downloadText(`ms_finanzas_uso_mesas_${preset}.csv`, toCSV([
+      ['mesa', 'sesiones', 'horas', 'ocupacion_pct', 'minutos_promedio', 'jugadores_promedio', 'ingreso_tiempo', 'ingreso_por_hora', 'consumo', 'hora_pico'],
+      ...report.rows.map(r => [
+        String(r.table), String(r.sessions), r.hours.toFixed(2), r.occupancyPct.toFixed(1), r.avgMinutes.toFixed(0), r.avgPlayers.toFixed(1),
+        String(r.revenue), r.perHour.toFixed(2), String(r.consumption), r.peakHour === null ? '' : String(r.peakHour),
+      ]),
+    ]), 'text/csv');
+    toast('Exportado', 'Uso de mesas descargado.');
   });
 
-  $id('expensesTbody').addEventListener('click', async (e) => {
+  // Receipts
+  $id('tablesDoneTbody').addEventListener('click', (e) => {
     const btn = /** @type {HTMLElement} */ (e.target).closest('button');
-    if (!btn) return;
-    if (btn.getAttribute('data-act') !== 'exp-del') return;
-    const id = Number(btn.getAttribute('data-id'));
-    if (!confirm('¿Eliminar este gasto?')) return;
-    state.expenses = state.expenses.filter(x => x.id !== id);
-    await saveState(state);
-    rerender();
-    toast('Eliminado', 'Gasto eliminado.');
+    if (!btn || btn.getAttribute('data-act') !== 'table-receipt') return;
+    const t = state.tables.find(x => x.id === Number(btn.getAttribute('data-id')));
+    if (t) showReceipt(receiptFor(state, 'table', t));
   });
 
-  // Tables
-  $id('tableForm').addEventListener('submit', async (e) => {
-    e.preventDefault();
+  $id('btnReceiptPrint').addEventListener('click', () => {
+    const [name, ...rest] = currentReceiptLines();
+    printHtml(currentReceipt.title, `<pre><b>${escapeHtml(name)}</b>\n${escapeHtml(rest.join('\n'))}</pre>`, receiptCss(printer.width));
+  });
 
-    const table = clampInt($id('tableNumber').value, 1, 100);
-    const players = clampInt($id('tablePlayers').value, 1, 50);
-    const rate = parseMoney($id('tableRate').value);
+  $id('btnReceiptEscpos').addEventListener('click', () => {
+    downloadText(`ticket_${currentReceipt.title.replace(/\W+/g, '_')}.bin`, escposBytes(currentReceiptLines()), 'application/octet-stream');
+  });
 
-    if (!(rate > 0)) {
-      toast('Validación', 'Tarifa debe ser mayor que 0.');
-      return;
+  $id('btnReceiptBridge').addEventListener('click', async () => {
+    try {
+      await sendToPrintBridge(printer.bridgeUrl, escposBytes(currentReceiptLines()));
+      toast('Ticket', 'Enviado a la impresora.');
+    } catch (err) {
+      toast('Impresora', `No se pudo imprimir: ${err?.message || err}`);
     }
+  });
 
-    const existing = state.tables.find(t => t.active && t.table === table);
-    if (existing) {
-      toast('Mesa activa', `La mesa ${table} ya está activa.`);
+  $id('btnReceiptClose').addEventListener('click', () => /** @type {HTMLDialogElement} */ ($id('receiptDialog')).close());
+
+  $id('receiptForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const bridgeUrl = $id('receiptBridgeUrl').value.trim();
+    if (bridgeUrl && !/^https?:\/\//i.test(bridgeUrl)) {
+      toast('Validación', 'La dirección de la impresora debe empezar con http:// o https://');
       return;
     }
+    const name = $id('receiptBusinessName').value.trim();
+    const footer = $id('receiptFooter').value.trim();
+    if ((name || state.business.name) !== state.business.name || footer !== (state.business.receiptFooter || '')) {
+      if (name) state.business.name = name;
+      state.business.receiptFooter = footer || undefined;
+      touch(state.business);
+      await saveState(state);
+    }
+    // Paper and bridge belong to this device's printer, so they are not synced
+    printer = { width: $id('receiptWidth').value === '58' ? 58 : 80, bridgeUrl, autoShow: /** @type {HTMLInputElement} */ ($id('receiptAutoShow')).checked };
+    await setMeta({ ...(await getMeta()), printer });
+    rerender();
+    renderReceiptSettings();
+    toast('Guardado', 'Configuración de tickets actualizada.');
+  });
 
-    /** @type {TableSession} */
-    const session = {
-      id: uuid(),
-      table,
-      players,
-      rate,
-      startAt: nowISO(),
-      active: true,
-    };
+  // Daily closing
+  const closingOf = (date) => {
+    const saved = state.closings.find(x => x.date === date);
+    return saved || { date, at: nowISO(), user: currentUser(state), report: buildClosing(state, date) };
+  };
+  const shareClosing = async (c) => {
+    try {
+      const how = await shareText(`Cierre ${c.date}`, closingText(c.report));
+      if (how === 'clipboard') toast('Copiado', 'El cierre quedó en el portapapeles: pégalo en WhatsApp.');
+    } catch {
+      downloadText(`cierre_${c.date}.txt`, closingText(c.report));
+      toast('Cierre', 'No se pudo compartir; se descargó como texto.');
+    }
+  };
 
-    state.tables.push(session);
-    $id('tableForm').reset();
+  $id('closingDate').addEventListener('change', () => renderClosing(state));
 
+  $id('btnClosingPrint').addEventListener('click', () => {
+    const c = closingOf($id('closingDate').value);
+    printHtml(`Cierre ${c.date}`, closingHtml(c.report, c), 'h2{font-size:13px;margin:14px 0 0}');
+  });
+
+  $id('btnClosingShare').addEventListener('click', () => shareClosing(closingOf($id('closingDate').value)));
+
+  $id('btnClosingWhatsApp').addEventListener('click', () => {
+    window.open(whatsappUrl(closingText(closingOf($id('closingDate').value).report)), '_blank', 'noopener');
+  });
+
+  $id('btnClosingSave').addEventListener('click', async () => {
+    const date = $id('closingDate').value;
+    const existing = state.closings.find(x => x.date === date);
+    if (existing && !confirm('Ya hay un cierre guardado para ese día. ¿Reemplazarlo con los datos actuales?')) return;
+    const report = buildClosing(state, date);
+    if (existing) {
+      Object.assign(existing, { at: nowISO(), user: currentUser(state), report });
+      touch(existing);
+    } else {
+      state.closings.push(touch({ id: uuid(), date, at: nowISO(), user: currentUser(state), report }));
+    }
     await saveState(state);
     rerender();
-    toast('Mesa iniciada', `Mesa ${table} con ${players} jugador(es).`);
+    toast('Cierre guardado', `${closingDateLabel(date)}: resultado ${formatMoney(report.pnl.net)}.`, undoAction);
   });
 
-  $id('tablesTbody').addEventListener('click', async (e) => {
+  $id('closingsTbody').addEventListener('click', async (e) => {
     const btn = /** @type {HTMLElement} */ (e.target).closest('button');
     if (!btn) return;
+    const c = state.closings.find(x => x.id === Number(btn.getAttribute('data-id')));
+    if (!c) return;
     const act = btn.getAttribute('data-act');
-    const id = Number(btn.getAttribute('data-id'));
-    const t = state.tables.find(x => x.id === id);
-    if (!t) return;
-
-    if (act === 'table-plus') {
-      t.players += 1;
+    if (act === 'closing-print') printHtml(`Cierre ${c.date}`, closingHtml(c.report, c), 'h2{font-size:13px;margin:14px 0 0}');
+    if (act === 'closing-share') await shareClosing(c);
+    if (act === 'closing-del') {
+      if (!confirm(`¿Eliminar el cierre del ${c.date}? Los datos del día no se borran.`)) return;
+      removeRecord(state, 'closings', c.id);
       await saveState(state);
       rerender();
-      toast('Jugador agregado', `Mesa ${t.table}: ${t.players} jugador(es).`);
-      return;
+      toast('Eliminado', 'Cierre eliminado.', undoAction);
     }
+  });
 
-    if (act === 'table-stop') {
-      const started = new Date(t.startAt);
-      const mins = Math.max(0, Math.floor((Date.now() - started.getTime()) / 60000));
-      const total = (mins / 60) * t.rate * t.players;
+  // Charts
+  $id('chartRange').addEventListener('change', () => renderCharts(state));
+  $id('reportChartRange').addEventListener('change', () => renderCharts(state));
+
+  // Reports: P&L
+  $id('pnlPreset').addEventListener('change', () => {
+    const preset = $id('pnlPreset').value;
+    if (preset === 'custom') return;
+    const [from, to] = periodRange(preset);
+    $id('pnlFrom').value = dateInputValue(from);
+    $id('pnlTo').value = dateInputValue(addDays(to, -1));
+    renderPnL(state);
+  });
 
-      t.active = false;
-      t.endAt = nowISO();
-      t.total = Number(total.toFixed(2));
+  for (const id of ['pnlFrom', 'pnlTo']) {
+    $id(id).addEventListener('change', () => {
+      $id('pnlPreset').value = 'custom';
+      if ($id('pnlFrom').value && $id('pnlTo').value) renderPnL(state);
+    });
+  }
 
-      await saveState(state);
-      rerender();
-      toast('Mesa finalizada', `Mesa ${t.table} — Total ${formatMoney(total)}`);
-      return;
-    }
+  const pnlReport = () => {
+    const range = readPnlRange();
+    return { range, rows: pnlRows(computePnL(state, range.from, range.to), computePnL(state, range.prevFrom, range.prevTo)) };
+  };
+
+  $id('btnPnlPrint').addEventListener('click', () => {
+    const { range, rows } = pnlReport();
+    const fmt = (r, n) => (r.count ? String(n) : formatMoney(n));
+    printHtml('Estado de resultados', `
+      <h1>${escapeHtml(state.business?.name || 'M&S - Control Finanzas')} — Estado de resultados</h1>
+      <div class="small">Periodo ${escapeHtml(range.label)} · comparado con ${escapeHtml(range.prevLabel)} · impreso ${escapeHtml(formatDateTime(nowISO()))}</div>
+      <table>
+        <thead><tr><th>Concepto</th><th class="num">Periodo</th><th class="num">Anterior</th><th class="num">Variación</th></tr></thead>
+        <tbody>${rows.map(r => `<tr class="${r.strong ? 'strong' : r.memo ? 'small' : ''}"><td>${escapeHtml(r.label)}</td><td class="num">${fmt(r, r.cur)}</td><td class="num">${fmt(r, r.prev)}</td><td class="num">${escapeHtml(pnlChange(r))}</td></tr>`).join('')}</tbody>
+      </table>
+    `);
+  });
+
+  $id('btnPnlCsv').addEventListener('click', () => {
+    const { range, rows } = pnlReport();
+    downloadText(`ms_finanzas_resultados_${$id('pnlFrom').value}_${$id('pnlTo').value}.csv`, toCSV([
+      ['concepto', `periodo (${range.label})`, `anterior (${range.prevLabel})`, 'variacion'],
+      ...rows.map(r => [r.label, String(r.cur), String(r.prev), String(Number((r.cur - r.prev).toFixed(2)))]),
+    ]), 'text/csv');
+    toast('Exportado', 'Estado de resultados descargado.');
   });
 
   // Reports
   $id('btnExportCSV').addEventListener('click', () => {
     const rows = [
-      ['tipo', 'fecha', 'detalle', 'cantidad', 'total', 'ganancia'],
-      ...state.sales.map(s => {
-        const p = state.products.find(x => x.id === s.productId);
-        return ['venta', s.at, p ? p.name : '(eliminado)', String(s.qty), String(s.total), String(s.profit)];
+      ['tipo', 'fecha', 'detalle', 'cantidad', 'total', 'ganancia', 'pagos', 'descuento', 'promocion'],
+      ...state.sales
+        .filter(s => !s.tableSessionId)
+        .map(s => ['venta', s.at, saleSummary(state, s), String(saleUnits(s)), String(s.total), String(s.profit), describePayments(state, s), String(s.discount || ''), s.promotionName || '']),
+      ...state.expenses.map(e => ['gasto', e.at, e.type, '', String(e.amount), '', '', '', '']),
+      ...state.customerPayments.map(x => ['abono', x.at, customerName(state, x.customerId), '', String(x.amount), '', paymentMethodLabel(state, x.method), '', '']),
+      // Voids and returns are negative rows on the day they happened
+      ...saleReturnsIn(state).reverse().map(({ sale, ret }) => [
+        ret.kind, ret.at, `${returnSummary(state, ret)} — ${ret.reason}`,
+        String(sum(ret.lines.map(l => l.qty))), String(-ret.amount), String(-ret.profit), describePayments(state, ret), '', sale.promotionName || '',
+      ]),
+      // One settlement row per table: time plus the consumption charged to it
+      ...state.tables.filter(t => !t.active && t.endAt).map(t => {
+        const consumption = tableConsumption(state, t.id);
+        const detail = consumption.length
+          ? `Mesa ${t.table} (tiempo ${t.timeTotal ?? t.total ?? 0} + consumo: ${consumption.map(s => saleSummary(state, s)).join(', ')})`
+          : `Mesa ${t.table}`;
+        const profit = consumption.length ? String(sum(consumption.map(s => s.profit)) - Number(t.discountOnConsumption || 0)) : '';
+        return ['mesa', t.endAt, detail, String(t.players), String(t.total || 0), profit, describePayments(state, t), String(t.discount || ''), t.promotionName || ''];
       }),
-      ...state.expenses.map(e => ['gasto', e.at, e.type, '', String(e.amount), '']),
-      ...state.tables.filter(t => !t.active && t.endAt).map(t => ['mesa', t.endAt, `Mesa ${t.table}`, String(t.players), String(t.total || 0), '']),
     ];
 
     downloadText('ms_finanzas_movimientos.csv', toCSV(rows), 'text/csv');
@@ -1328,9 +6381,31 @@ async function init() {
   function rerender() {
     renderDashboard(state);
     renderTables(state);
+    renderTablesGrid(state);
+    renderRatePlans(state);
+    renderTableDefs(state);
     renderProducts(state);
     renderSales(state);
+    renderCart(state, cart);
     renderExpenses(state);
+    renderCash(state);
+    renderPaymentBreakdown(state);
+    renderPaymentMethods(state);
+    renderCustomers(state, ledgerCustomerId);
+    renderPromotions(state);
+    renderPromoReport(state);
+    renderVoids(state);
+    renderPnL(state);
+    renderCharts(state);
+    renderUtilization(state);
+    renderClosing(state);
+    renderReceiving(state, receipt);
+    renderKardex(state);
+    renderProductPerformance(state);
+    renderReorderPlan(state);
+    renderStockCount(state);
+    renderAudit(state);
+    renderUndoButtons();
 
     $id('aboutStorage').textContent = `Guardado local (IndexedDB): ${IDB_DB_NAME}/${IDB_STORE}/${IDB_STATE_KEY} | PWA instalable + Sync opcional`;
     void renderSnapshotsUI();
@@ -1350,6 +6425,8 @@ async function init() {
     const elUrl = /** @type {HTMLInputElement} */ (document.getElementById('syncUrl'));
     const elUser = /** @type {HTMLInputElement} */ (document.getElementById('syncUser'));
     const elPass = /** @type {HTMLInputElement} */ (document.getElementById('syncPass'));
+    const elPassphrase = /** @type {HTMLInputElement} */ (document.getElementById('syncPassphrase'));
+    const elMode = /** @type {HTMLSelectElement} */ (document.getElementById('syncMode'));
     const elAuto = /** @type {HTMLInputElement} */ (document.getElementById('syncAuto'));
     const elStatus = document.getElementById('syncStatus');
 
@@ -1363,6 +6440,8 @@ async function init() {
     elUrl.value = cfg.url;
     elUser.value = cfg.user;
     elPass.value = cfg.pass;
+    elPassphrase.value = cfg.passphrase;
+    elMode.value = cfg.mode;
     elAuto.checked = cfg.auto;
 
     const persistCfg = async () => {
@@ -1370,7 +6449,9 @@ async function init() {
         url: elUrl.value.trim(),
         user: elUser.value.trim(),
         pass: elPass.value,
+        passphrase: elPassphrase.value,
         auto: elAuto.checked,
+        mode: elMode.value === 'replace' ? 'replace' : 'merge',
       };
       await setSyncConfig(next);
       return next;
@@ -1379,6 +6460,59 @@ async function init() {
     syncForm.addEventListener('input', () => { void persistCfg(); });
     syncForm.addEventListener('change', () => { void persistCfg(); });
 
+    const buildPayload = async () => {
+      const meta = await getMeta();
+      const deviceId = meta.deviceId || (await ensureDeviceId());
+      return {
+        app: 'ms-finanzas',
+        format: SYNC_FORMAT,
+        updatedAt: meta.stateUpdatedAt || nowISO(),
+        updatedBy: deviceId,
+        state,
+      };
+    };
+
+    /**
+     * Merges a remote payload into the local state and persists the result.
+     * @returns {Promise<{added:number, updated:number, deleted:number}>}
+     */
+    const mergeRemote = async (remote, source) => {
+      const res = mergeStates(state, remote.state);
+      state = res.state;
+      await saveState(state, { source });
+      const m2 = await getMeta();
+      m2.lastSyncMergeAt = nowISO();
+      await setMeta(m2);
+      rerender();
+      return res.stats;
+    };
+
+    const describeStats = (st) => `${st.added} nuevos, ${st.updated} actualizados, ${st.deleted} eliminados`;
+
+    /**
+     * Conflict prompt for "replace" mode: shows what differs instead of a bare confirm().
+     * @returns {Promise<'merge'|'force'|null>}
+     */
+    const askConflict = async (remote, { message, forceLabel }) => {
+      const meta = await getMeta();
+      const by = remote.updatedBy ? ` (dispositivo ${String(remote.updatedBy).slice(0, 8)})` : '';
+      const canMerge = !!remote.state && isValidStateShape(remote.state);
+      const choice = await askChoice({
+        title: 'Conflicto de sincronización',
+        message,
+        lines: [
+          `Remoto: ${formatDateTime(remote.updatedAt) || '—'}${by}`,
+          `Este dispositivo: ${formatDateTime(meta.stateUpdatedAt) || '—'}`,
+          ...describeStateDiff(state, remote.state || {}),
+        ],
+        choices: [
+          ...(canMerge ? [{ value: 'merge', label: 'Mezclar', className: 'primary' }] : []),
+          { value: 'force', label: forceLabel, className: 'warn' },
+        ],
+      });
+      return /** @type {any} */ (choice);
+    };
+
     if (btnTest) {
       btnTest.addEventListener('click', async () => {
         const c = await persistCfg();
@@ -1406,38 +6540,47 @@ async function init() {
           return;
         }
         try {
-          setStatus('Revisando remoto...');
-          const remote = await fetchRemoteSnapshot(c);
-          const meta = await getMeta();
-          const localUpdatedAt = meta.stateUpdatedAt || null;
-          const remoteUpdatedAt = remote?.updatedAt || remote?.meta?.updatedAt || null;
+          let merged = null;
+          // A 412 means another device wrote after our GET: fetch again and redo the conflict check
+          for (let attempt = 0; ; attempt += 1) {
+            setStatus('Revisando remoto...');
+            const remote = await fetchRemoteSnapshot(c);
+            const meta = await getMeta();
+            const localUpdatedAt = meta.stateUpdatedAt || null;
+            const remoteUpdatedAt = remote?.updatedAt || remote?.meta?.updatedAt || null;
+
+            if (c.mode === 'merge' && remote?.state && isValidStateShape(remote.state)) {
+              merged = await mergeRemote(remote, 'sync-merge');
+            } else if (remote && (attempt > 0 || (remoteUpdatedAt && isoNewerThan(remoteUpdatedAt, localUpdatedAt)))) {
+              const choice = await askConflict(remote, {
+                message: attempt > 0
+                  ? 'Otro dispositivo subió cambios mientras subías. ¿Qué deseas hacer?'
+                  : 'El remoto parece más reciente que este dispositivo. ¿Qué deseas hacer?',
+                forceLabel: 'Sobrescribir remoto',
+              });
+              if (!choice) {
+                setStatus('Cancelado (conflicto)');
+                return;
+              }
+              if (choice === 'merge') merged = await mergeRemote(remote, 'sync-merge');
+            }
 
-          if (remoteUpdatedAt && isoNewerThan(remoteUpdatedAt, localUpdatedAt)) {
-            const ok = confirm('El remoto parece más reciente que este dispositivo. ¿Deseas sobrescribir el remoto con los datos locales?');
-            if (!ok) {
-              setStatus('Cancelado (remoto más reciente)');
-              return;
+            try {
+              setStatus('Subiendo...');
+              await pushRemoteSnapshot(c, await buildPayload());
+              break;
+            } catch (err) {
+              if (err?.status !== 412 || attempt >= 2) throw err;
+              setStatus('El remoto cambió; revisando de nuevo...');
             }
           }
 
-          const deviceId = meta.deviceId || (await ensureDeviceId());
-          const payload = {
-            app: 'ms-finanzas',
-            format: 1,
-            updatedAt: localUpdatedAt || nowISO(),
-            updatedBy: deviceId,
-            state,
-          };
-
-          setStatus('Subiendo...');
-          await pushRemoteSnapshot(c, payload);
-
           const m2 = await getMeta();
           m2.lastSyncPushAt = nowISO();
           await setMeta(m2);
 
           setStatus(`Subido OK (${new Date().toLocaleTimeString('es-GT')})`);
-          toast('Sync', 'Datos subidos al remoto.');
+          toast('Sync', merged ? `Datos mezclados y subidos (${describeStats(merged)}).` : 'Datos subidos al remoto.');
         } catch (err) {
           setStatus(`Error: ${err?.message || err}`);
           toast('Error', `No se pudo subir: ${err?.message || err}`);
@@ -1465,19 +6608,35 @@ async function init() {
             throw new Error('El remoto no contiene la estructura esperada.');
           }
 
+          if (c.mode === 'merge') {
+            const st = await mergeRemote(remote, 'sync-merge');
+            setStatus(`Mezclado OK (${new Date().toLocaleTimeString('es-GT')})`);
+            toast('Sync', `Datos remotos mezclados (${describeStats(st)}).`);
+            return;
+          }
+
           const meta = await getMeta();
           const localUpdatedAt = meta.stateUpdatedAt || null;
           const remoteUpdatedAt = remote.updatedAt || null;
 
           if (localUpdatedAt && isoNewerThan(localUpdatedAt, remoteUpdatedAt)) {
-            const ok = confirm('Este dispositivo parece más reciente que el remoto. ¿Deseas reemplazar tus datos locales con los del remoto?');
-            if (!ok) {
+            const choice = await askConflict(remote, {
+              message: 'Este dispositivo parece más reciente que el remoto. ¿Qué deseas hacer?',
+              forceLabel: 'Reemplazar con remoto',
+            });
+            if (!choice) {
               setStatus('Cancelado (local más reciente)');
               return;
             }
+            if (choice === 'merge') {
+              const st = await mergeRemote(remote, 'sync-merge');
+              setStatus(`Mezclado OK (${new Date().toLocaleTimeString('es-GT')})`);
+              toast('Sync', `Datos remotos mezclados (${describeStats(st)}).`);
+              return;
+            }
           }
 
-          state = remote.state;
+          state = normalizeState(remote.state);
           await saveState(state, {
             source: 'sync-pull',
             updatedAt: remoteUpdatedAt || nowISO(),
@@ -1507,9 +6666,26 @@ async function init() {
         const meta = await getMeta();
         const localUpdatedAt = meta.stateUpdatedAt || null;
         const remoteUpdatedAt = remote?.updatedAt || null;
-
-        if (remote && remote.state && isValidStateShape(remote.state) && isoNewerThan(remoteUpdatedAt, localUpdatedAt)) {
-          state = remote.state;
+        const remoteValid = !!remote && !!remote.state && isValidStateShape(remote.state);
+
+        if (c.mode === 'merge') {
+          let st = null;
+          for (let attempt = 0; ; attempt += 1) {
+            const r = attempt === 0 ? remote : await fetchRemoteSnapshot(c);
+            if (r?.state && isValidStateShape(r.state)) st = await mergeRemote(r, 'sync-auto-merge');
+            try {
+              await pushRemoteSnapshot(c, await buildPayload());
+              break;
+            } catch (err) {
+              if (err?.status !== 412 || attempt >= 2) throw err;
+            }
+          }
+          const m2 = await getMeta();
+          m2.lastSyncPushAt = nowISO();
+          await setMeta(m2);
+          setStatus(st ? `Auto-sync: mezclado (${describeStats(st)})` : 'Auto-sync: subido');
+        } else if (remoteValid && isoNewerThan(remoteUpdatedAt, localUpdatedAt)) {
+          state = normalizeState(remote.state);
           await saveState(state, { source: 'sync-auto-pull', updatedAt: remoteUpdatedAt || nowISO(), updatedBy: remote.updatedBy || meta.deviceId });
           rerender();
           setStatus('Auto-sync: datos remotos aplicados');
@@ -1519,8 +6695,8 @@ async function init() {
       } else {
         setStatus(navigator.onLine ? 'Listo (online)' : 'Listo (offline)');
       }
-    } catch {
-      setStatus(navigator.onLine ? 'Listo (online)' : 'Listo (offline)');
+    } catch (err) {
+      setStatus(navigator.onLine ? `Auto-sync: ${err?.message || err}` : 'Listo (offline)');
     }
 
     window.addEventListener('online', () => setStatus('Online'));